@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const { RateLimiter } = require('./rate-limiter');
+
+// Home Assistant's ingress proxy always connects from this address
+const INGRESS_SOURCE = '172.30.32.2';
+
+const TOKEN_CACHE_TTL = 300000; // 5 minutes - accepted HA tokens aren't rechecked for this long
+const TOKEN_REJECT_TTL = 60000; // 1 minute - rejected tokens
+const TOKEN_CACHE_SIZE = 1000;
+const TOKEN_LOOKUPS_PER_MINUTE = 10; // unknown tokens checked with HA per client; each failure is a failed HA login
+const TOKEN_LOOKUP_BURST = 5;
+
+/**
+ * Authentication for requests to the directly exposed API port
+ *
+ * Ingress requests are trusted by their source address (a header could be
+ * sent by anyone). Everything else must present one of the configured API
+ * keys or, when enabled, a Home Assistant access token, as
+ * `Authorization: Bearer`, an `X-API-Key` header or an `api_key` query
+ * parameter (for <img> tags and EventSource, which can't set headers).
+ * With no keys configured and HA tokens off, every request is allowed.
+ */
+class Authenticator {
+  constructor(options) {
+    this.apiKeys = (options.apiKeys || []).map(hashSecret);
+    this.haTokens = Boolean(options.haTokens);
+    this.haUrl = options.haUrl;
+    this.logger = options.logger;
+
+    this.tokenCache = new Map(); // token hash -> { valid, expires }, oldest first
+    this.tokenLookups = new RateLimiter({
+      name: 'Home Assistant token check',
+      perMinute: TOKEN_LOOKUPS_PER_MINUTE,
+      burst: TOKEN_LOOKUP_BURST,
+      logger: options.logger
+    });
+    this.totals = {
+      ingress: 0,
+      apiKey: 0,
+      haToken: 0,
+      rejected: 0
+    };
+  }
+
+  get enabled() {
+    return this.apiKeys.length > 0 || this.haTokens;
+  }
+
+  isIngress(req) {
+    const address = String(req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+    return address === INGRESS_SOURCE;
+  }
+
+  /**
+   * The key or token a request presents, if any
+   */
+  credential(req) {
+    const header = req.headers.authorization;
+    if (header && /^Bearer\s+/i.test(header)) {
+      return header.replace(/^Bearer\s+/i, '').trim();
+    }
+
+    if (req.headers['x-api-key']) {
+      return String(req.headers['x-api-key']).trim();
+    }
+
+    // req.query isn't parsed on WebSocket upgrades
+    return new URL(req.url, 'http://localhost').searchParams.get('api_key');
+  }
+
+  /**
+   * Check a request; resolves to { allowed, method } or { allowed: false, status, error }
+   */
+  async authenticate(req) {
+    if (this.isIngress(req)) {
+      this.totals.ingress++;
+      return { allowed: true, method: 'ingress' };
+    }
+
+    if (!this.enabled) {
+      return { allowed: true, method: 'open' };
+    }
+
+    const credential = this.credential(req);
+    if (!credential) {
+      this.totals.rejected++;
+      return { allowed: false, status: 401, error: 'Authentication required' };
+    }
+
+    const hash = hashSecret(credential);
+    if (this.apiKeys.some(key => crypto.timingSafeEqual(key, hash))) {
+      this.totals.apiKey++;
+      return { allowed: true, method: 'api_key' };
+    }
+
+    if (this.haTokens) {
+      // Tokens HA hasn't vouched for yet are limited per client, so guessing
+      // doesn't turn into a stream of failed HA logins (and an ip_ban)
+      const key = hash.toString('hex');
+      if (!this.tokenCache.has(key)) {
+        const client = String(req.socket.remoteAddress || '');
+        const lookup = this.tokenLookups.take(client);
+        if (!lookup.allowed) {
+          this.totals.rejected++;
+          this.logger.warn(`Too many unknown tokens from ${client}, not checking with Home Assistant`);
+          return { allowed: false, status: 429, error: 'Too many authentication attempts', retryAfter: lookup.retryAfter };
+        }
+      }
+
+      try {
+        if (await this.checkHaToken(credential, hash)) {
+          this.totals.haToken++;
+          return { allowed: true, method: 'ha_token' };
+        }
+      } catch (error) {
+        this.logger.warn(`Could not validate Home Assistant token: ${error.message}`);
+        return { allowed: false, status: 503, error: 'Home Assistant unavailable to validate token' };
+      }
+    }
+
+    this.totals.rejected++;
+    return { allowed: false, status: 401, error: 'Invalid API key or token' };
+  }
+
+  /**
+   * Ask Home Assistant whether a token is valid, caching the answer
+   */
+  async checkHaToken(token, hash) {
+    const key = hash.toString('hex');
+    const cached = this.tokenCache.get(key);
+    if (cached && cached.expires > Date.now()) {
+      return cached.valid;
+    }
+
+    const response = await fetch(`${this.haUrl}/api/`, {
+      headers: { Authorization: `Bearer ${token}` },
+      signal: AbortSignal.timeout(5000)
+    });
+
+    if (response.status !== 200 && response.status !== 401 && response.status !== 403) {
+      throw new Error(`Home Assistant returned ${response.status}`);
+    }
+
+    const valid = response.status === 200;
+    this.tokenCache.delete(key);
+    // Drop the oldest answers first rather than everything, so valid tokens
+    // aren't all rechecked whenever the cache fills
+    while (this.tokenCache.size >= TOKEN_CACHE_SIZE) {
+      this.tokenCache.delete(this.tokenCache.keys().next().value);
+    }
+    this.tokenCache.set(key, { valid, expires: Date.now() + (valid ? TOKEN_CACHE_TTL : TOKEN_REJECT_TTL) });
+    return valid;
+  }
+
+  /**
+   * Express middleware; paths in `open` are served without authentication
+   */
+  middleware(open = []) {
+    return (req, res, next) => {
+      if (open.includes(req.path)) return next();
+
+      this.authenticate(req).then(result => {
+        if (result.allowed) return next();
+
+        this.logger.warn(`Rejected ${req.method} ${req.path} from ${req.socket.remoteAddress}: ${result.error}`);
+        if (result.status === 401) {
+          res.set('WWW-Authenticate', 'Bearer realm="bom-radar-proxy"');
+        }
+        if (result.retryAfter) {
+          res.set('Retry-After', result.retryAfter.toString());
+        }
+        res.status(result.status).json({ error: result.error });
+      }, next);
+    };
+  }
+
+  status() {
+    return {
+      enabled: this.enabled,
+      apiKeys: this.apiKeys.length,
+      haTokens: this.haTokens,
+      tokenLookups: this.tokenLookups.status(),
+      ...this.totals
+    };
+  }
+}
+
+/**
+ * Fixed-length digest, so keys can be compared in constant time
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+module.exports = { Authenticator };
@@ -0,0 +1,250 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+const INDEX_VERSION = 1;
+
+/**
+ * In-memory index of the images in the cache directory
+ *
+ * Size checks, cleanup and stats read this instead of listing and stat-ing
+ * every file. The index is saved to `file` shortly after changes and
+ * reconciled with the directory on startup, so files added or removed while
+ * the add-on was stopped are picked up and last-access times survive restarts.
+ */
+class CacheIndex {
+  constructor(options) {
+    this.dir = options.dir;
+    this.file = options.file;
+    this.logger = options.logger;
+    this.saveDelay = options.saveDelay || 10000;
+
+    this.entries = new Map();
+    this.totalSize = 0;
+    this.saveTimer = null;
+    this.ready = null;
+  }
+
+  /**
+   * Split a cache key into its radar, timestamp and resolution
+   * Tiles (tile_<timestamp>_<z>_<x>_<y>) have no radar or resolution.
+   * Transformed frames (<frame>~<variant>) belong to their original frame
+   */
+  static parseKey(key) {
+    const tile = key.match(/^tile_(\d{12})_\d+_\d+_\d+$/);
+    if (tile) {
+      return { type: 'tile', radarId: null, resolution: null, timestamp: tile[1], variant: null };
+    }
+
+    const frame = key.match(/^(IDR\d{2,5})_(\d{12})_(\d+)(?:~([\w-]+))?$/);
+    if (frame) {
+      return { type: 'frame', radarId: frame[1], resolution: parseInt(frame[3]), timestamp: frame[2], variant: frame[4] || null };
+    }
+
+    return { type: 'other', radarId: null, resolution: null, timestamp: null, variant: null };
+  }
+
+  /**
+   * File name for a cache key: variants start with their format, everything
+   * else is a PNG
+   */
+  static fileName(key) {
+    const variant = key.split('~')[1];
+    return `${key}.${variant ? variant.split('_')[0] : 'png'}`;
+  }
+
+  /**
+   * Load the saved index and reconcile it with the files on disk
+   * Safe to call once; later calls return the same promise
+   */
+  load() {
+    if (!this.ready) {
+      this.ready = this.rebuild();
+    }
+    return this.ready;
+  }
+
+  async rebuild() {
+    const started = Date.now();
+    let saved = new Map();
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      if (data.version === INDEX_VERSION) {
+        saved = new Map(data.entries.map(entry => [entry.key, entry]));
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Cache index unreadable, rebuilding from disk: ${error.message}`);
+      }
+    }
+
+    const files = await fs.readdir(this.dir).catch(error => {
+      this.logger.error(`Cannot read cache directory: ${error.message}`);
+      return [];
+    });
+    let statted = 0;
+
+    for (const file of files) {
+      const key = file.replace(/\.(png|webp|avif)$/, '');
+      if (key === file || CacheIndex.fileName(key) !== file) continue;
+
+      // Written by a request that arrived while the index was loading
+      if (this.entries.has(key)) continue;
+
+      let entry = saved.get(key);
+
+      // Only files the saved index doesn't know about need a stat
+      if (!entry) {
+        try {
+          const stats = await fs.stat(path.join(this.dir, file));
+          entry = {
+            key,
+            ...CacheIndex.parseKey(key),
+            size: stats.size,
+            cachedAt: stats.mtimeMs,
+            lastAccess: stats.mtimeMs
+          };
+          statted++;
+        } catch (error) {
+          continue;
+        }
+      }
+
+      this.entries.set(key, entry);
+      this.totalSize += entry.size;
+    }
+
+    this.logger.info(`Cache index ready: ${this.entries.size} files, ${Math.round(this.totalSize / 1024 / 1024)}MB ` +
+      `(${saved.size} saved, ${statted} new on disk, ${Date.now() - started}ms)`);
+
+    if (statted > 0 || saved.size !== this.entries.size) {
+      this.scheduleSave();
+    }
+  }
+
+  get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  /**
+   * Look up a key once the index has loaded, starting the load if nothing has
+   */
+  async lookup(key) {
+    await this.load();
+    return this.get(key);
+  }
+
+  /**
+   * Record a file just written to the cache
+   * The index is loaded if it isn't yet; rebuild() keeps entries added meanwhile
+   */
+  add(key, size) {
+    this.load();
+
+    const previous = this.entries.get(key);
+    if (previous) {
+      this.totalSize -= previous.size;
+    }
+
+    const now = Date.now();
+    this.entries.set(key, {
+      key,
+      ...CacheIndex.parseKey(key),
+      size,
+      cachedAt: now,
+      lastAccess: now
+    });
+    this.totalSize += size;
+    this.scheduleSave();
+  }
+
+  touch(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      entry.lastAccess = Date.now();
+      this.scheduleSave();
+    }
+  }
+
+  /**
+   * Forget a key without touching the file (e.g. it was found missing)
+   */
+  forget(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    this.entries.delete(key);
+    this.totalSize -= entry.size;
+    this.scheduleSave();
+    return entry;
+  }
+
+  /**
+   * Delete a cached file and its index entry
+   */
+  async remove(key) {
+    const entry = this.forget(key);
+
+    try {
+      await fs.unlink(path.join(this.dir, CacheIndex.fileName(key)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    return entry;
+  }
+
+  values() {
+    return Array.from(this.entries.values());
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(error => this.logger.error(`Failed to save cache index: ${error.message}`));
+    }, this.saveDelay);
+    this.saveTimer.unref();
+  }
+
+  serialize() {
+    return JSON.stringify({
+      version: INDEX_VERSION,
+      savedAt: new Date().toISOString(),
+      entries: this.values()
+    });
+  }
+
+  async save() {
+    const tempPath = `${this.file}.tmp`;
+    await fs.writeFile(tempPath, this.serialize());
+    await fs.rename(tempPath, this.file);
+    this.logger.debug(`Cache index saved (${this.entries.size} entries)`);
+  }
+
+  /**
+   * Write pending changes before the process exits
+   */
+  flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    try {
+      fsSync.writeFileSync(`${this.file}.tmp`, this.serialize());
+      fsSync.renameSync(`${this.file}.tmp`, this.file);
+    } catch (error) {
+      this.logger.error(`Failed to save cache index: ${error.message}`);
+    }
+  }
+
+  stats() {
+    return {
+      imageCount: this.entries.size,
+      totalSize: this.totalSize
+    };
+  }
+}
+
+module.exports = { CacheIndex };
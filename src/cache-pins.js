@@ -0,0 +1,84 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+/**
+ * Pinned frame ranges, protected from cache eviction and TTL cleanup
+ *
+ * A pin covers one radar (optionally a single resolution) between two
+ * timestamps inclusive. Pins are saved to `file` so they survive restarts.
+ */
+class CachePins {
+  constructor(options) {
+    this.file = options.file;
+    this.logger = options.logger;
+    this.pins = [];
+  }
+
+  async load() {
+    try {
+      this.pins = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      this.logger.info(`Loaded ${this.pins.length} cache pins`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Cache pins unreadable, starting with none: ${error.message}`);
+      }
+      this.pins = [];
+    }
+  }
+
+  async save() {
+    const tempPath = `${this.file}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(this.pins, null, 2));
+    await fs.rename(tempPath, this.file);
+  }
+
+  list() {
+    return this.pins.slice();
+  }
+
+  async add({ radarId, resolution = null, from, to, label = '' }) {
+    const pin = {
+      id: crypto.randomBytes(4).toString('hex'),
+      radarId,
+      resolution,
+      from,
+      to,
+      label,
+      createdAt: new Date().toISOString()
+    };
+    this.pins.push(pin);
+    await this.save();
+    this.logger.info(`Pinned ${radarId}${resolution ? ` ${resolution}km` : ''} ${from}-${to}${label ? ` (${label})` : ''}`);
+    return pin;
+  }
+
+  async remove(id) {
+    const index = this.pins.findIndex(pin => pin.id === id);
+    if (index === -1) return null;
+
+    const [pin] = this.pins.splice(index, 1);
+    await this.save();
+    this.logger.info(`Unpinned ${pin.radarId} ${pin.from}-${pin.to}`);
+    return pin;
+  }
+
+  /**
+   * Whether a cache index entry falls inside one pin
+   */
+  static matches(pin, entry) {
+    return pin.radarId === entry.radarId &&
+      (pin.resolution === null || pin.resolution === entry.resolution) &&
+      entry.timestamp >= pin.from &&
+      entry.timestamp <= pin.to;
+  }
+
+  /**
+   * Whether a cache index entry falls inside any pin
+   */
+  isPinned(entry) {
+    if (!entry.radarId) return false;
+    return this.pins.some(pin => CachePins.matches(pin, entry));
+  }
+}
+
+module.exports = { CachePins };
@@ -0,0 +1,125 @@
+/**
+ * Circuit breaker for an unreliable upstream
+ *
+ * After `threshold` consecutive failures the circuit opens and calls fail
+ * immediately with code CIRCUIT_OPEN. Once the cooldown passes one trial call
+ * is let through (half-open): success closes the circuit, failure reopens it
+ * with the cooldown doubled, up to `maxCooldown`. Only errors `isFailure`
+ * accepts count; a missing file is an answer, not an outage.
+ */
+class CircuitBreaker {
+  constructor(options) {
+    this.name = options.name;
+    this.logger = options.logger;
+    this.threshold = options.threshold || 3;
+    this.baseCooldown = options.baseCooldown || 30000;
+    this.maxCooldown = options.maxCooldown || 600000;
+    this.isFailure = options.isFailure || (() => true);
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.opens = 0; // consecutive opens, drives the backoff
+    this.openedAt = null;
+    this.retryAt = 0;
+    this.trial = false;
+    this.lastError = null;
+    this.totals = {
+      rejected: 0,
+      trips: 0
+    };
+  }
+
+  get cooldown() {
+    return Math.min(this.baseCooldown * Math.pow(2, Math.max(0, this.opens - 1)), this.maxCooldown);
+  }
+
+  /**
+   * Seconds until the next trial call is allowed (0 when closed)
+   */
+  retryAfter() {
+    return this.state === 'closed' ? 0 : Math.max(0, Math.ceil((this.retryAt - Date.now()) / 1000));
+  }
+
+  isOpen() {
+    return this.state !== 'closed';
+  }
+
+  async run(fn) {
+    if (this.state === 'open' && Date.now() >= this.retryAt) {
+      this.state = 'half-open';
+    }
+
+    // Only one trial call at a time while half-open
+    if (this.state === 'open' || (this.state === 'half-open' && this.trial)) {
+      this.totals.rejected++;
+      const error = new Error(`${this.name} unavailable, retrying in ${this.retryAfter()}s`);
+      error.code = 'CIRCUIT_OPEN';
+      error.retryAfter = this.retryAfter();
+      throw error;
+    }
+
+    const trial = this.state === 'half-open';
+    if (trial) this.trial = true;
+
+    try {
+      const result = await fn();
+      this.succeed();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.fail(error, trial);
+      } else if (trial) {
+        // The server answered, so it's reachable
+        this.succeed();
+      }
+      throw error;
+    } finally {
+      if (trial) this.trial = false;
+    }
+  }
+
+  succeed() {
+    if (this.state !== 'closed') {
+      this.logger.info(`${this.name} circuit closed after ${Math.round((Date.now() - this.openedAt) / 1000)}s`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.opens = 0;
+    this.openedAt = null;
+  }
+
+  fail(error, trial = false) {
+    this.failures++;
+    this.lastError = error.message;
+
+    // Calls already in flight when the circuit opened don't extend the backoff;
+    // once open only a failed trial call reopens it
+    if (this.state !== 'closed' && !trial) return;
+
+    if (trial || this.failures >= this.threshold) {
+      if (this.state === 'closed') {
+        this.openedAt = Date.now();
+        this.totals.trips++;
+      }
+      this.opens++;
+      this.state = 'open';
+      this.retryAt = Date.now() + this.cooldown;
+      this.logger.warn(`${this.name} circuit open after ${this.failures} failures, retrying in ${Math.round(this.cooldown / 1000)}s`, {
+        error: error.message
+      });
+    }
+  }
+
+  status() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryIn: this.retryAfter(),
+      lastError: this.lastError,
+      ...this.totals
+    };
+  }
+}
+
+module.exports = { CircuitBreaker };
@@ -0,0 +1,292 @@
+const { WebSocketServer } = require('ws');
+
+/**
+ * Push channel announcing new radar frames
+ *
+ * Clients subscribe to radar/resolution pairs over Server-Sent Events or a
+ * WebSocket. Every timestamp listing the proxy fetches is passed to publish(),
+ * so one upstream poll serves every connected viewer. onWatch/onUnwatch are
+ * called as the first subscriber arrives and the last one leaves, so the
+ * caller can keep those radars polled. Each client may hold at most
+ * `maxSubscriptions` radar/resolution pairs.
+ */
+class FrameEvents {
+  constructor(options) {
+    this.logger = options.logger;
+    this.parseTargets = options.parseTargets;
+    this.onWatch = options.onWatch || (() => {});
+    this.onUnwatch = options.onUnwatch || (() => {});
+    this.maxClients = options.maxClients || 100;
+    this.maxSubscriptions = options.maxSubscriptions || 20;
+    this.heartbeatInterval = options.heartbeatInterval || 30000;
+    this.authorize = options.authorize || (async () => true);
+
+    this.clients = new Set();
+    this.watchers = new Map(); // radar key -> subscribed client count
+    this.latest = new Map(); // radar key -> newest timestamp seen
+    this.nextId = 1;
+    this.totals = {
+      connections: 0,
+      framesAnnounced: 0,
+      messagesSent: 0
+    };
+
+    this.timer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * Record a timestamp listing (newest first) and announce frames newer than the last one seen
+   * The first listing for a radar only announces its newest frame
+   */
+  publish(radarId, resolution, timestamps) {
+    if (timestamps.length === 0) return;
+
+    const key = `${radarId}_${resolution}`;
+    const previous = this.latest.get(key);
+    const fresh = previous
+      ? timestamps.filter(timestamp => timestamp > previous)
+      : timestamps.slice(0, 1);
+
+    if (fresh.length === 0) return;
+    this.latest.set(key, fresh[0]);
+
+    for (const timestamp of fresh.reverse()) {
+      this.totals.framesAnnounced++;
+      for (const client of this.clients) {
+        if (client.subscriptions.has(key)) {
+          this.send(client, 'frame', { radarId, resolution, timestamp });
+        }
+      }
+    }
+
+    this.logger.debug(`Announced ${fresh.length} new frames for ${radarId} ${resolution}km`);
+  }
+
+  /**
+   * Open an SSE stream on an Express response
+   */
+  addSseClient(req, res, targets) {
+    if (this.clients.size >= this.maxClients) {
+      res.status(503).json({ error: `Too many event clients (max ${this.maxClients})` });
+      return;
+    }
+
+    const keys = new Set(targets.map(({ radarId, resolution }) => `${radarId}_${resolution}`));
+    if (keys.size > this.maxSubscriptions) {
+      res.status(400).json({ error: `Too many radars (max ${this.maxSubscriptions} per client)` });
+      return;
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // don't let ingress/nginx buffer the stream
+    });
+    res.flushHeaders();
+
+    const client = this.addClient('sse', (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression buffers writes until flushed
+      if (res.flush) res.flush();
+    }, () => res.end());
+
+    client.ping = () => {
+      res.write(': ping\n\n');
+      if (res.flush) res.flush();
+    };
+
+    req.on('close', () => this.removeClient(client));
+    this.subscribe(client, targets);
+  }
+
+  /**
+   * Accept WebSocket clients on `path` of an HTTP server
+   * Messages are JSON: {"subscribe": ["IDR02:128"]} or {"unsubscribe": [...]}
+   */
+  attachWebSocket(server, path) {
+    this.wss = new WebSocketServer({
+      server,
+      path,
+      maxPayload: 16 * 1024,
+      verifyClient: (info, done) => {
+        this.authorize(info.req)
+          .then(allowed => done(allowed, 401, 'Unauthorized'))
+          .catch(() => done(false, 401, 'Unauthorized'));
+      }
+    });
+
+    this.wss.on('connection', (socket, req) => {
+      if (this.clients.size >= this.maxClients) {
+        socket.close(1013, 'Too many event clients');
+        return;
+      }
+
+      const client = this.addClient('ws', (event, data) => {
+        socket.send(JSON.stringify({ event, ...data }));
+      }, () => socket.close(1001, 'Server shutting down'));
+
+      client.alive = true;
+      client.ping = () => {
+        if (!client.alive) {
+          socket.terminate();
+          return;
+        }
+        client.alive = false;
+        socket.ping();
+      };
+
+      socket.on('pong', () => { client.alive = true; });
+      socket.on('close', () => this.removeClient(client));
+      socket.on('error', error => this.logger.debug(`Event socket error: ${error.message}`));
+
+      socket.on('message', raw => {
+        let message;
+        try {
+          message = JSON.parse(raw.toString());
+        } catch (error) {
+          this.send(client, 'error', { error: 'Messages must be JSON' });
+          return;
+        }
+
+        if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+          this.send(client, 'error', { error: 'Messages must be JSON' });
+          return;
+        }
+
+        const subscribe = this.parseTargets([].concat(message.subscribe || []));
+        const unsubscribe = this.parseTargets([].concat(message.unsubscribe || []));
+        const invalid = [...subscribe.invalid, ...unsubscribe.invalid];
+        if (invalid.length > 0) {
+          this.send(client, 'error', { error: `Invalid radars: ${invalid.join(', ')}` });
+          return;
+        }
+
+        this.unsubscribe(client, unsubscribe.targets);
+        this.subscribe(client, subscribe.targets);
+      });
+
+      // Radars can also be given up front: /api/events/ws?radars=IDR02:128
+      const query = new URL(req.url, 'http://localhost').searchParams.get('radars');
+      const { targets, invalid } = this.parseTargets(query ? query.split(',') : []);
+      if (invalid.length > 0) {
+        this.send(client, 'error', { error: `Invalid radars: ${invalid.join(', ')}` });
+      }
+      this.subscribe(client, targets);
+    });
+  }
+
+  addClient(type, send, close) {
+    const client = {
+      id: this.nextId++,
+      type,
+      send,
+      close,
+      subscriptions: new Set(),
+      connectedAt: Date.now()
+    };
+    this.clients.add(client);
+    this.totals.connections++;
+    this.logger.info(`Event client ${client.id} connected (${type}), ${this.clients.size} connected`);
+    return client;
+  }
+
+  removeClient(client) {
+    if (!this.clients.delete(client)) return;
+    this.unsubscribe(client, Array.from(client.subscriptions, key => {
+      const [radarId, resolution] = key.split('_');
+      return { radarId, resolution: parseInt(resolution) };
+    }));
+    this.logger.info(`Event client ${client.id} disconnected, ${this.clients.size} connected`);
+  }
+
+  /**
+   * Add subscriptions and tell the client the newest frame already known for each
+   * Nothing is added if the client would go over maxSubscriptions
+   */
+  subscribe(client, targets) {
+    const fresh = targets.filter(({ radarId, resolution }) => !client.subscriptions.has(`${radarId}_${resolution}`));
+    const keys = new Set(fresh.map(({ radarId, resolution }) => `${radarId}_${resolution}`));
+    if (client.subscriptions.size + keys.size > this.maxSubscriptions) {
+      this.send(client, 'error', { error: `Too many radars (max ${this.maxSubscriptions} per client)` });
+      return;
+    }
+
+    const added = [];
+
+    for (const { radarId, resolution } of fresh) {
+      const key = `${radarId}_${resolution}`;
+      if (client.subscriptions.has(key)) continue;
+
+      client.subscriptions.add(key);
+      const count = (this.watchers.get(key) || 0) + 1;
+      this.watchers.set(key, count);
+      if (count === 1) this.onWatch(radarId, resolution);
+
+      added.push({ radarId, resolution, latest: this.latest.get(key) || null });
+    }
+
+    if (added.length > 0) {
+      this.send(client, 'subscribed', { radars: added });
+    }
+  }
+
+  unsubscribe(client, targets) {
+    for (const { radarId, resolution } of targets) {
+      const key = `${radarId}_${resolution}`;
+      if (!client.subscriptions.delete(key)) continue;
+
+      const count = this.watchers.get(key) - 1;
+      if (count > 0) {
+        this.watchers.set(key, count);
+      } else {
+        this.watchers.delete(key);
+        this.onUnwatch(radarId, resolution);
+      }
+    }
+  }
+
+  send(client, event, data) {
+    try {
+      client.send(event, data);
+      this.totals.messagesSent++;
+    } catch (error) {
+      this.logger.debug(`Failed to send to event client ${client.id}: ${error.message}`);
+    }
+  }
+
+  heartbeat() {
+    for (const client of this.clients) {
+      try {
+        client.ping();
+      } catch (error) {
+        this.removeClient(client);
+      }
+    }
+  }
+
+  close() {
+    clearInterval(this.timer);
+    for (const client of this.clients) {
+      client.close();
+    }
+    if (this.wss) this.wss.close();
+  }
+
+  status() {
+    return {
+      clients: this.clients.size,
+      sse: Array.from(this.clients).filter(client => client.type === 'sse').length,
+      websocket: Array.from(this.clients).filter(client => client.type === 'ws').length,
+      ...this.totals,
+      watched: Array.from(this.watchers, ([key, subscribers]) => ({
+        radar: key.replace('_', ':'),
+        subscribers,
+        latest: this.latest.get(key) || null
+      }))
+    };
+  }
+}
+
+module.exports = { FrameEvents };
@@ -0,0 +1,298 @@
+const ftp = require('ftp');
+
+/**
+ * Errors that mean the control connection itself is unusable,
+ * as opposed to an FTP reply error (e.g. 550 file not found)
+ */
+const CONNECTION_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'EPIPE',
+  'ETIMEDOUT',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'FTP_TIMEOUT'
+]);
+
+function isConnectionError(error) {
+  if (!error) return false;
+  if (typeof error.code === 'number') return false;
+  if (CONNECTION_ERROR_CODES.has(error.code)) return true;
+  return /not connected|timeout|socket|closed/i.test(error.message || '');
+}
+
+/**
+ * Error for a command or transfer that stalled
+ * Counts as a connection error, but run() doesn't retry it: a server that
+ * stalled once usually stalls again, and retrying would double the wait
+ */
+function timeoutError(message) {
+  const error = new Error(message);
+  error.code = 'FTP_TIMEOUT';
+  return error;
+}
+
+/**
+ * Pool of logged-in FTP control connections
+ *
+ * Connections are opened lazily up to `max`, handed out one request at a time,
+ * kept alive with NOOPs while idle and closed after `idleTimeout` ms unused.
+ * Requests beyond `max` wait in a FIFO queue until a connection is released.
+ */
+class FtpPool {
+  constructor(options) {
+    this.host = options.host;
+    this.port = options.port || 21;
+    // Anonymous login unless given
+    this.user = options.user;
+    this.password = options.password;
+    this.max = Math.max(1, options.max || 3);
+    this.idleTimeout = options.idleTimeout || 60000;
+    this.connTimeout = options.connTimeout || 30000;
+    this.acquireTimeout = options.acquireTimeout || 60000;
+    this.keepalive = options.keepalive || 30000;
+    this.logger = options.logger;
+
+    this.idle = [];       // { client, timer }
+    this.busy = new Set();
+    this.pending = 0;     // connections currently being opened
+    this.waiting = [];    // { resolve, reject, timer }
+    this.closed = false;
+
+    this.counters = {
+      created: 0,
+      reused: 0,
+      destroyed: 0,
+      retries: 0
+    };
+  }
+
+  /**
+   * Open and log in a new control connection
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const client = new ftp();
+      let settled = false;
+
+      const timeout = setTimeout(() => {
+        if (settled) return;
+        settled = true;
+        client.destroy();
+        reject(new Error('FTP connection timeout'));
+      }, this.connTimeout);
+
+      client.once('ready', () => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        this.counters.created++;
+        resolve(client);
+      });
+
+      client.on('error', (err) => {
+        client.broken = true;
+        if (settled) {
+          this.logger.debug('FTP session error', { error: err.message });
+          this.evict(client);
+          return;
+        }
+        settled = true;
+        clearTimeout(timeout);
+        reject(err);
+      });
+
+      client.on('close', () => {
+        client.broken = true;
+        this.evict(client);
+      });
+
+      client.connect({
+        host: this.host,
+        port: this.port,
+        user: this.user,
+        password: this.password,
+        connTimeout: this.connTimeout,
+        pasvTimeout: this.connTimeout,
+        keepalive: this.keepalive
+      });
+    });
+  }
+
+  /**
+   * Get a connection, reusing an idle one where possible
+   */
+  acquire() {
+    if (this.closed) {
+      return Promise.reject(new Error('FTP pool is closed'));
+    }
+
+    while (this.idle.length > 0) {
+      const { client, timer } = this.idle.pop();
+      clearTimeout(timer);
+      if (client.broken) continue;
+      this.busy.add(client);
+      this.counters.reused++;
+      return Promise.resolve(client);
+    }
+
+    if (this.busy.size + this.pending < this.max) {
+      return this.open();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        const index = this.waiting.indexOf(waiter);
+        if (index !== -1) this.waiting.splice(index, 1);
+        reject(new Error('FTP pool acquire timeout'));
+      }, this.acquireTimeout);
+      waiter.timer.unref();
+      this.waiting.push(waiter);
+      this.logger.debug(`FTP pool full, queued request (${this.waiting.length} waiting)`);
+    });
+  }
+
+  async open() {
+    this.pending++;
+    try {
+      const client = await this.connect();
+      this.pending--;
+      this.busy.add(client);
+      return client;
+    } catch (error) {
+      this.pending--;
+      // The slot is free again for anyone queued
+      this.dispatch();
+      throw error;
+    }
+  }
+
+  /**
+   * Return a connection to the pool; broken connections are destroyed
+   */
+  release(client, broken = false) {
+    this.busy.delete(client);
+
+    if (broken || client.broken || this.closed) {
+      this.destroy(client);
+      this.dispatch();
+      return;
+    }
+
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      this.busy.add(client);
+      this.counters.reused++;
+      waiter.resolve(client);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.idle = this.idle.filter(entry => entry.client !== client);
+      this.logger.debug('Closing idle FTP connection');
+      this.destroy(client, true);
+    }, this.idleTimeout);
+    timer.unref();
+
+    this.idle.push({ client, timer });
+  }
+
+  /**
+   * Open a new connection for the next waiter after capacity frees up
+   */
+  dispatch() {
+    if (this.waiting.length === 0 || this.closed) return;
+    if (this.busy.size + this.pending >= this.max) return;
+
+    const waiter = this.waiting.shift();
+    clearTimeout(waiter.timer);
+    this.open().then(waiter.resolve, waiter.reject);
+  }
+
+  /**
+   * Drop a connection that closed or errored on its own
+   */
+  evict(client) {
+    const index = this.idle.findIndex(entry => entry.client === client);
+    if (index !== -1) {
+      clearTimeout(this.idle[index].timer);
+      this.idle.splice(index, 1);
+      this.counters.destroyed++;
+      this.dispatch();
+    }
+  }
+
+  destroy(client, graceful = false) {
+    client.broken = true;
+    this.counters.destroyed++;
+    try {
+      if (graceful) {
+        client.end();
+      } else {
+        client.destroy();
+      }
+    } catch (error) {
+      // Already closed
+    }
+  }
+
+  /**
+   * Run `fn(client)` on a pooled connection
+   * Retries once on a fresh connection if the session turned out to be dead,
+   * but not after a timeout
+   */
+  async run(fn) {
+    for (let attempt = 0; ; attempt++) {
+      const client = await this.acquire();
+      try {
+        const result = await fn(client);
+        this.release(client);
+        return result;
+      } catch (error) {
+        const broken = isConnectionError(error);
+        this.release(client, broken);
+        if (broken && attempt === 0 && !this.closed && error.code !== 'FTP_TIMEOUT') {
+          this.counters.retries++;
+          this.logger.warn('FTP session broken, reconnecting', { error: error.message });
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  stats() {
+    return {
+      max: this.max,
+      active: this.busy.size,
+      idle: this.idle.length,
+      connecting: this.pending,
+      waiting: this.waiting.length,
+      ...this.counters
+    };
+  }
+
+  /**
+   * Close all connections and reject queued requests
+   */
+  close() {
+    this.closed = true;
+    for (const waiter of this.waiting) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('FTP pool is closed'));
+    }
+    this.waiting = [];
+    for (const { client, timer } of this.idle) {
+      clearTimeout(timer);
+      this.destroy(client, true);
+    }
+    this.idle = [];
+  }
+}
+
+module.exports = { FtpPool, isConnectionError, timeoutError };
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const UPNG = require('upng-js');
+const { GIFEncoder, quantize, applyPalette } = require('gifenc');
+
+// WASM encoders, loaded on first use
+let webpEncoder = null;
+let avifEncoder = null;
+
+/**
+ * Decode a PNG into 8-bit RGBA pixels
+ */
+function decodePng(buffer) {
+  const image = UPNG.decode(buffer);
+  const rgba = new Uint8Array(UPNG.toRGBA8(image)[0]);
+  return { width: image.width, height: image.height, data: rgba };
+}
+
+/**
+ * Encode RGBA pixels as a lossless PNG
+ */
+function encodePng(image) {
+  return Buffer.from(UPNG.encode([image.data.buffer], image.width, image.height, 0));
+}
+
+/**
+ * Encode same-sized RGBA frames as an animated PNG
+ * delays are per-frame display times in milliseconds
+ */
+function encodeApng(frames, delays) {
+  const { width, height } = frames[0];
+  const buffers = frames.map(frame => frame.data.buffer);
+  return Buffer.from(UPNG.encode(buffers, width, height, 0, delays));
+}
+
+/**
+ * Encode same-sized RGBA frames as an animated GIF
+ * Each frame gets its own palette; fully transparent pixels stay transparent
+ */
+function encodeGif(frames, delays) {
+  const gif = GIFEncoder();
+
+  frames.forEach((frame, index) => {
+    const palette = quantize(frame.data, 256, { format: 'rgba4444', oneBitAlpha: true });
+    const pixels = applyPalette(frame.data, palette, 'rgba4444');
+    const transparentIndex = palette.findIndex(color => color[3] === 0);
+
+    gif.writeFrame(pixels, frame.width, frame.height, {
+      palette,
+      delay: delays[index],
+      transparent: transparentIndex !== -1,
+      transparentIndex: Math.max(0, transparentIndex),
+      dispose: 2, // clear to transparent so frames don't pile up
+      repeat: 0
+    });
+  });
+
+  gif.finish();
+  return Buffer.from(gif.bytes());
+}
+
+/**
+ * Load a jsquash encoder with its WASM read from disk; left to itself it
+ * tries to fetch() the WASM, which only works in browsers
+ */
+async function loadEncoder(name, wasmFiles) {
+  const encoder = await import(`@jsquash/${name}/encode.js`);
+  const wasm = wasmFiles
+    .map(file => fs.readFileSync(require.resolve(`@jsquash/${name}/codec/enc/${file}`)))
+    .find(bytes => WebAssembly.validate(bytes));
+  await encoder.init(await WebAssembly.compile(wasm));
+  return encoder.default;
+}
+
+function toImageData(image) {
+  return {
+    width: image.width,
+    height: image.height,
+    data: new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.data.length)
+  };
+}
+
+/**
+ * Encode RGBA pixels as a lossless WebP
+ * Lossless keeps the palette colours exact, so rain rates can still be read back
+ */
+async function encodeWebp(image) {
+  if (!webpEncoder) {
+    // The SIMD build is only used where the runtime supports it
+    webpEncoder = loadEncoder('webp', ['webp_enc_simd.wasm', 'webp_enc.wasm']);
+    // A failed load is retried on the next call rather than cached
+    webpEncoder.catch(() => { webpEncoder = null; });
+  }
+  const encode = await webpEncoder;
+  return Buffer.from(await encode(toImageData(image), { lossless: 1 }));
+}
+
+/**
+ * Encode RGBA pixels as a lossy AVIF, the smallest but slowest format
+ */
+async function encodeAvif(image, quality = 60) {
+  if (!avifEncoder) {
+    avifEncoder = loadEncoder('avif', ['avif_enc.wasm']);
+    avifEncoder.catch(() => { avifEncoder = null; });
+  }
+  const encode = await avifEncoder;
+  return Buffer.from(await encode(toImageData(image), { quality, speed: 8 }));
+}
+
+/**
+ * Copy a rectangle out of an image
+ */
+function crop(image, x, y, width, height) {
+  const out = createImage(width, height);
+  for (let row = 0; row < height; row++) {
+    const start = ((y + row) * image.width + x) * 4;
+    out.data.set(image.data.subarray(start, start + width * 4), row * width * 4);
+  }
+  return out;
+}
+
+/**
+ * Scale an image down to `width`, keeping its aspect ratio
+ * Each output pixel averages the source pixels it covers, weighted by alpha
+ * so transparent areas don't darken the edges of rain
+ */
+function resize(image, width) {
+  if (width >= image.width) return image;
+
+  const height = Math.max(1, Math.round(image.height * width / image.width));
+  const out = createImage(width, height);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  for (let oy = 0; oy < height; oy++) {
+    const y0 = Math.floor(oy * scaleY);
+    const y1 = Math.max(y0 + 1, Math.floor((oy + 1) * scaleY));
+
+    for (let ox = 0; ox < width; ox++) {
+      const x0 = Math.floor(ox * scaleX);
+      const x1 = Math.max(x0 + 1, Math.floor((ox + 1) * scaleX));
+      let r = 0, g = 0, b = 0, a = 0, count = 0;
+
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const offset = (sy * image.width + sx) * 4;
+          const alpha = image.data[offset + 3];
+          r += image.data[offset] * alpha;
+          g += image.data[offset + 1] * alpha;
+          b += image.data[offset + 2] * alpha;
+          a += alpha;
+          count++;
+        }
+      }
+
+      const offset = (oy * width + ox) * 4;
+      if (a > 0) {
+        out.data[offset] = Math.round(r / a);
+        out.data[offset + 1] = Math.round(g / a);
+        out.data[offset + 2] = Math.round(b / a);
+        out.data[offset + 3] = Math.round(a / count);
+      }
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Alpha-blend `top` over `base` in place (both RGBA, same size)
+ */
+function composite(base, top) {
+  if (base.width !== top.width || base.height !== top.height) {
+    throw new Error(`Layer size ${top.width}x${top.height} does not match ${base.width}x${base.height}`);
+  }
+
+  const dst = base.data;
+  const src = top.data;
+
+  for (let i = 0; i < dst.length; i += 4) {
+    const alpha = src[i + 3];
+    if (alpha === 0) continue;
+
+    if (alpha === 255) {
+      dst[i] = src[i];
+      dst[i + 1] = src[i + 1];
+      dst[i + 2] = src[i + 2];
+      dst[i + 3] = 255;
+      continue;
+    }
+
+    const a = alpha / 255;
+    const baseAlpha = dst[i + 3] / 255;
+    const outAlpha = a + baseAlpha * (1 - a);
+    for (let c = 0; c < 3; c++) {
+      dst[i + c] = Math.round((src[i + c] * a + dst[i + c] * baseAlpha * (1 - a)) / outAlpha);
+    }
+    dst[i + 3] = Math.round(outAlpha * 255);
+  }
+
+  return base;
+}
+
+/**
+ * Blank (fully transparent) RGBA image
+ */
+function createImage(width, height) {
+  return { width, height, data: new Uint8Array(width * height * 4) };
+}
+
+// 5x7 bitmap font for captions, one string of 5 pixels per row
+const FONT = {
+  '0': ['01110', '10001', '10011', '10101', '11001', '10001', '01110'],
+  '1': ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+  '2': ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+  '3': ['11111', '00010', '00100', '00010', '00001', '10001', '01110'],
+  '4': ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+  '5': ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+  '6': ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+  '7': ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+  '8': ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+  '9': ['01110', '10001', '10001', '01111', '00001', '00010', '01100'],
+  'A': ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+  'B': ['11110', '10001', '10001', '11110', '10001', '10001', '11110'],
+  'C': ['01110', '10001', '10000', '10000', '10000', '10001', '01110'],
+  'D': ['11100', '10010', '10001', '10001', '10001', '10010', '11100'],
+  'E': ['11111', '10000', '10000', '11110', '10000', '10000', '11111'],
+  'F': ['11111', '10000', '10000', '11110', '10000', '10000', '10000'],
+  'G': ['01110', '10001', '10000', '10111', '10001', '10001', '01111'],
+  'H': ['10001', '10001', '10001', '11111', '10001', '10001', '10001'],
+  'I': ['01110', '00100', '00100', '00100', '00100', '00100', '01110'],
+  'J': ['00111', '00010', '00010', '00010', '00010', '10010', '01100'],
+  'K': ['10001', '10010', '10100', '11000', '10100', '10010', '10001'],
+  'L': ['10000', '10000', '10000', '10000', '10000', '10000', '11111'],
+  'M': ['10001', '11011', '10101', '10101', '10001', '10001', '10001'],
+  'N': ['10001', '10001', '11001', '10101', '10011', '10001', '10001'],
+  'O': ['01110', '10001', '10001', '10001', '10001', '10001', '01110'],
+  'P': ['11110', '10001', '10001', '11110', '10000', '10000', '10000'],
+  'Q': ['01110', '10001', '10001', '10001', '10101', '10010', '01101'],
+  'R': ['11110', '10001', '10001', '11110', '10100', '10010', '10001'],
+  'S': ['01111', '10000', '10000', '01110', '00001', '00001', '11110'],
+  'T': ['11111', '00100', '00100', '00100', '00100', '00100', '00100'],
+  'U': ['10001', '10001', '10001', '10001', '10001', '10001', '01110'],
+  'V': ['10001', '10001', '10001', '10001', '10001', '01010', '00100'],
+  'W': ['10001', '10001', '10001', '10101', '10101', '10101', '01010'],
+  'X': ['10001', '10001', '01010', '00100', '01010', '10001', '10001'],
+  'Y': ['10001', '10001', '10001', '01010', '00100', '00100', '00100'],
+  'Z': ['11111', '00001', '00010', '00100', '01000', '10000', '11111'],
+  ':': ['00000', '01100', '01100', '00000', '01100', '01100', '00000'],
+  '-': ['00000', '00000', '00000', '11111', '00000', '00000', '00000'],
+  '+': ['00000', '00100', '00100', '11111', '00100', '00100', '00000'],
+  '.': ['00000', '00000', '00000', '00000', '00000', '01100', '01100'],
+  '/': ['00000', '00001', '00010', '00100', '01000', '10000', '00000'],
+  '(': ['00010', '00100', '01000', '01000', '01000', '00100', '00010'],
+  ')': ['01000', '00100', '00010', '00010', '00010', '00100', '01000'],
+  ' ': ['00000', '00000', '00000', '00000', '00000', '00000', '00000']
+};
+
+/**
+ * Draw a caption strip (white text on translucent black) along the bottom edge
+ * Characters missing from the font are drawn as spaces
+ */
+function drawCaption(image, text, scale = 2) {
+  const glyphWidth = 6 * scale;
+  const padding = 4 * scale;
+  const stripHeight = 7 * scale + padding * 2;
+  const top = image.height - stripHeight;
+  const overlay = createImage(image.width, image.height);
+
+  for (let y = top; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      overlay.data[(y * image.width + x) * 4 + 3] = 160;
+    }
+  }
+
+  const chars = text.toUpperCase().split('');
+  chars.forEach((char, index) => {
+    const glyph = FONT[char] || FONT[' '];
+    const originX = padding + index * glyphWidth;
+
+    glyph.forEach((row, gy) => {
+      for (let gx = 0; gx < 5; gx++) {
+        if (row[gx] !== '1') continue;
+        for (let sy = 0; sy < scale; sy++) {
+          for (let sx = 0; sx < scale; sx++) {
+            const x = originX + gx * scale + sx;
+            const y = top + padding + gy * scale + sy;
+            if (x >= image.width || y >= image.height) continue;
+            const offset = (y * image.width + x) * 4;
+            overlay.data[offset] = 255;
+            overlay.data[offset + 1] = 255;
+            overlay.data[offset + 2] = 255;
+            overlay.data[offset + 3] = 255;
+          }
+        }
+      }
+    });
+  });
+
+  return composite(image, overlay);
+}
+
+module.exports = {
+  decodePng,
+  encodePng,
+  encodeApng,
+  encodeGif,
+  encodeWebp,
+  encodeAvif,
+  crop,
+  resize,
+  composite,
+  createImage,
+  drawCaption
+};
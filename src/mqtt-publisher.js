@@ -0,0 +1,231 @@
+const mqtt = require('mqtt');
+
+/**
+ * MQTT publisher for Home Assistant
+ *
+ * Publishes the latest frame of each configured radar and the rain at each
+ * configured location as retained JSON states, plus MQTT discovery configs so
+ * the sensors show up in Home Assistant without any YAML. getLatestFrame and
+ * getRain are supplied by the server so they share its caches and refresh
+ * rate limiting.
+ */
+class MqttPublisher {
+  constructor(options) {
+    this.url = options.url;
+    this.username = options.username;
+    this.password = options.password;
+    this.discoveryPrefix = options.discoveryPrefix || 'homeassistant';
+    this.topicPrefix = options.topicPrefix || 'bom_radar';
+    this.radars = options.radars || [];
+    this.locations = (options.locations || []).map(location => ({
+      ...location,
+      slug: slugify(location.name)
+    }));
+    this.interval = options.interval || 60000;
+    this.getLatestFrame = options.getLatestFrame;
+    this.getRain = options.getRain;
+    this.logger = options.logger;
+
+    this.client = null;
+    this.timer = null;
+    this.publishing = false;
+    this.lastPublish = null;
+    this.lastError = null;
+    this.totals = {
+      published: 0,
+      failures: 0
+    };
+  }
+
+  get availabilityTopic() {
+    return `${this.topicPrefix}/status`;
+  }
+
+  start() {
+    if (this.client) return;
+
+    this.client = mqtt.connect(this.url, {
+      username: this.username || undefined,
+      password: this.password || undefined,
+      clientId: `bom_radar_proxy_${Math.random().toString(16).slice(2, 10)}`,
+      reconnectPeriod: 10000,
+      will: {
+        topic: this.availabilityTopic,
+        payload: 'offline',
+        retain: true,
+        qos: 1
+      }
+    });
+
+    this.client.on('connect', () => {
+      this.logger.info(`MQTT connected to ${this.url}`);
+      this.lastError = null;
+      this.client.publish(this.availabilityTopic, 'online', { retain: true, qos: 1 });
+      this.publishDiscovery();
+      this.publishStates();
+    });
+
+    // Home Assistant asks for discovery again when it restarts
+    this.client.subscribe(`${this.discoveryPrefix}/status`);
+    this.client.on('message', (topic, payload) => {
+      if (topic === `${this.discoveryPrefix}/status` && payload.toString() === 'online') {
+        this.publishDiscovery();
+        this.publishStates();
+      }
+    });
+
+    this.client.on('error', error => {
+      this.lastError = error.message;
+      this.logger.warn(`MQTT error: ${error.message}`);
+    });
+
+    this.client.on('offline', () => this.logger.warn('MQTT broker unreachable, retrying'));
+
+    this.timer = setInterval(() => this.publishStates(), this.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.client) {
+      // Publish offline ourselves, the will only fires on unclean disconnects
+      this.client.publish(this.availabilityTopic, 'offline', { retain: true, qos: 1 });
+      this.client.end();
+      this.client = null;
+    }
+  }
+
+  publish(topic, payload) {
+    this.client.publish(topic, JSON.stringify(payload), { retain: true });
+    this.totals.published++;
+  }
+
+  device() {
+    return {
+      identifiers: ['bom_radar_proxy'],
+      name: 'BoM Radar Proxy',
+      manufacturer: 'Bureau of Meteorology',
+      model: 'Radar proxy add-on'
+    };
+  }
+
+  /**
+   * Discovery config for one entity
+   */
+  entity(component, objectId, name, stateTopic, extra) {
+    const uniqueId = `bom_radar_${objectId}`;
+    this.publish(`${this.discoveryPrefix}/${component}/${uniqueId}/config`, {
+      name,
+      unique_id: uniqueId,
+      state_topic: stateTopic,
+      availability_topic: this.availabilityTopic,
+      device: this.device(),
+      ...extra
+    });
+  }
+
+  publishDiscovery() {
+    for (const { radarId, resolution } of this.radars) {
+      const id = `${radarId.toLowerCase()}_${resolution}`;
+      const stateTopic = `${this.topicPrefix}/radar/${id}/state`;
+
+      this.entity('sensor', `${id}_latest_frame`, `${radarId} ${resolution}km latest frame`, stateTopic, {
+        device_class: 'timestamp',
+        value_template: '{{ value_json.time }}',
+        json_attributes_topic: stateTopic,
+        icon: 'mdi:radar'
+      });
+
+      this.entity('sensor', `${id}_frame_age`, `${radarId} ${resolution}km frame age`, stateTopic, {
+        device_class: 'duration',
+        unit_of_measurement: 'min',
+        value_template: '{{ value_json.ageMinutes }}',
+        icon: 'mdi:timer-sand'
+      });
+    }
+
+    for (const location of this.locations) {
+      const stateTopic = `${this.topicPrefix}/location/${location.slug}/state`;
+
+      this.entity('sensor', `${location.slug}_rain_rate`, `${location.name} rain rate`, stateTopic, {
+        device_class: 'precipitation_intensity',
+        unit_of_measurement: 'mm/h',
+        state_class: 'measurement',
+        value_template: '{{ value_json.rainRate }}',
+        json_attributes_topic: stateTopic
+      });
+
+      this.entity('sensor', `${location.slug}_rain_intensity`, `${location.name} rain intensity`, stateTopic, {
+        value_template: '{{ value_json.intensity }}',
+        icon: 'mdi:weather-pouring'
+      });
+
+      this.entity('binary_sensor', `${location.slug}_raining`, `${location.name} raining`, stateTopic, {
+        device_class: 'moisture',
+        value_template: "{{ 'ON' if value_json.raining else 'OFF' }}"
+      });
+    }
+
+    this.logger.info(`MQTT discovery published for ${this.radars.length} radars and ${this.locations.length} locations`);
+  }
+
+  /**
+   * Publish current states, skipping entries whose data can't be fetched right now
+   */
+  async publishStates() {
+    if (!this.client || !this.client.connected || this.publishing) return;
+    this.publishing = true;
+
+    try {
+      for (const { radarId, resolution } of this.radars) {
+        try {
+          const frame = await this.getLatestFrame(radarId, resolution);
+          if (!frame) continue;
+          this.publish(`${this.topicPrefix}/radar/${radarId.toLowerCase()}_${resolution}/state`, frame);
+        } catch (error) {
+          this.fail(`${radarId} ${resolution}km`, error);
+        }
+      }
+
+      for (const location of this.locations) {
+        try {
+          const rain = await this.getRain(location.latitude, location.longitude, location.radius || 0);
+          this.publish(`${this.topicPrefix}/location/${location.slug}/state`, rain);
+        } catch (error) {
+          this.fail(location.name, error);
+        }
+      }
+
+      this.lastPublish = Date.now();
+    } finally {
+      this.publishing = false;
+    }
+  }
+
+  fail(name, error) {
+    this.totals.failures++;
+    this.lastError = `${name}: ${error.message}`;
+    this.logger.warn(`MQTT state for ${name} not published: ${error.message}`);
+  }
+
+  status() {
+    return {
+      broker: this.url,
+      connected: Boolean(this.client && this.client.connected),
+      radars: this.radars.length,
+      locations: this.locations.length,
+      lastPublish: this.lastPublish ? new Date(this.lastPublish).toISOString() : null,
+      lastError: this.lastError,
+      ...this.totals
+    };
+  }
+}
+
+/**
+ * Lowercase identifier safe for MQTT topics and entity IDs
+ */
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'location';
+}
+
+module.exports = { MqttPublisher, slugify };
@@ -0,0 +1,134 @@
+/**
+ * Rain motion estimation and extrapolation for nowcasts
+ *
+ * Works on palette level grids (see reflectivity.frameToLevels): a regional
+ * motion vector is found by block matching consecutive frames around the
+ * point of interest, then the latest frame is advected along it.
+ */
+
+/**
+ * Find the displacement (in pixels) that best maps `prev` onto `next`
+ * within a window around (cx, cy), by minimum sum of absolute differences
+ * Compares every `step`th pixel to keep the search affordable
+ */
+function matchBlock(prev, next, width, height, cx, cy, window, search, step = 2) {
+  const x0 = Math.max(search, cx - window);
+  const x1 = Math.min(width - search - 1, cx + window);
+  const y0 = Math.max(search, cy - window);
+  const y1 = Math.min(height - search - 1, cy + window);
+
+  let wet = 0;
+  for (let y = y0; y <= y1; y += step) {
+    for (let x = x0; x <= x1; x += step) {
+      if (next[y * width + x] > 0) wet++;
+    }
+  }
+
+  if (wet === 0) {
+    return null;
+  }
+
+  // Sum of absolute differences for one displacement, giving up once past `limit`
+  const sadAt = (dx, dy, limit) => {
+    let sad = 0;
+    for (let y = y0; y <= y1 && sad < limit; y += step) {
+      const row = y * width;
+      const prevRow = (y - dy) * width;
+      for (let x = x0; x <= x1; x += step) {
+        sad += Math.abs(next[row + x] - prev[prevRow + x - dx]);
+      }
+    }
+    return sad;
+  };
+
+  const still = sadAt(0, 0, Infinity);
+  let best = { dx: 0, dy: 0, sad: still };
+
+  for (let dy = -search; dy <= search; dy++) {
+    for (let dx = -search; dx <= search; dx++) {
+      const sad = sadAt(dx, dy, best.sad);
+      if (sad < best.sad) {
+        best = { dx, dy, sad };
+      }
+    }
+  }
+
+  // How much better the match is than assuming no movement (0 = no better)
+  best.gain = still > 0 ? (still - best.sad) / still : 0;
+  best.wet = wet;
+  return best;
+}
+
+/**
+ * Estimate a regional motion vector in pixels per minute from frames ordered oldest first
+ * Each frame is { levels, minutes } with minutes relative to the newest frame
+ */
+function estimateMotion(frames, width, height, cx, cy, window, search) {
+  const vectors = [];
+
+  for (let i = 1; i < frames.length; i++) {
+    const dt = frames[i].minutes - frames[i - 1].minutes;
+    if (dt <= 0) continue;
+
+    const match = matchBlock(frames[i - 1].levels, frames[i].levels, width, height, cx, cy, window, search);
+    if (!match) continue;
+
+    vectors.push({ vx: match.dx / dt, vy: match.dy / dt, gain: match.gain });
+  }
+
+  if (vectors.length === 0) {
+    return null;
+  }
+
+  const vx = vectors.reduce((sum, v) => sum + v.vx, 0) / vectors.length;
+  const vy = vectors.reduce((sum, v) => sum + v.vy, 0) / vectors.length;
+  const speed = Math.hypot(vx, vy);
+
+  // Agreement between frame pairs, relative to the speed (1 = identical vectors)
+  const spread = Math.sqrt(vectors.reduce((sum, v) => sum + (v.vx - vx) ** 2 + (v.vy - vy) ** 2, 0) / vectors.length);
+  const consistency = vectors.length > 1 ? Math.max(0, 1 - spread / Math.max(speed, 0.5)) : 0.5;
+  const gain = vectors.reduce((sum, v) => sum + Math.max(0, v.gain), 0) / vectors.length;
+
+  return { vx, vy, pairs: vectors.length, consistency, gain };
+}
+
+/**
+ * Highest level within `radius` pixels of (x, y)
+ */
+function maxLevelNear(levels, width, height, x, y, radius) {
+  let max = 0;
+  const rx = Math.round(x);
+  const ry = Math.round(y);
+
+  for (let py = ry - radius; py <= ry + radius; py++) {
+    for (let px = rx - radius; px <= rx + radius; px++) {
+      if (px < 0 || py < 0 || px >= width || py >= height) continue;
+      max = Math.max(max, levels[py * width + px]);
+    }
+  }
+
+  return max;
+}
+
+/**
+ * Advect the latest frame along the motion vector and find when rain first reaches (cx, cy)
+ * Returns { minutes, level } or null if nothing arrives within the horizon
+ */
+function predictArrival(levels, width, height, cx, cy, motion, horizon, stepMinutes, radius) {
+  for (let t = stepMinutes; t <= horizon; t += stepMinutes) {
+    // Rain reaching the point at t is upstream of it now
+    const level = maxLevelNear(levels, width, height, cx - motion.vx * t, cy - motion.vy * t, radius);
+    if (level > 0) {
+      return { minutes: t, level };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  matchBlock,
+  estimateMotion,
+  maxLevelNear,
+  predictArrival
+};
@@ -0,0 +1,251 @@
+/**
+ * Background prefetcher
+ *
+ * Keeps the newest frames of watched radars on disk so the first viewer after
+ * a new scan doesn't pay the FTP latency. A radar/resolution is watched when it
+ * is listed in the add-on options, has live event subscribers, or was requested
+ * within `watchWindow` ms.
+ */
+class Prefetcher {
+  constructor(options) {
+    this.listTimestamps = options.listTimestamps;
+    this.fetchImage = options.fetchImage;
+    this.logger = options.logger;
+    this.interval = options.interval;
+    this.frames = options.frames || 10;
+    this.concurrency = Math.max(1, options.concurrency || 2);
+    this.watchWindow = options.watchWindow || 3600000;
+    this.trackRecent = options.trackRecent !== false;
+    this.maxRecent = options.maxRecent || 20;
+    this.isKnown = options.isKnown || (() => true);
+    this.baseBackoff = options.baseBackoff || 30000;
+    this.maxBackoff = options.maxBackoff || 3600000;
+    this.tickInterval = options.tickInterval || 30000;
+
+    this.targets = new Map();
+    this.queue = [];
+    this.active = 0;
+    this.timer = null;
+    this.totals = {
+      polls: 0,
+      framesFetched: 0,
+      failures: 0
+    };
+
+    for (const { radarId, resolution } of options.configured || []) {
+      this.addTarget(radarId, resolution, 'config');
+    }
+  }
+
+  addTarget(radarId, resolution, source) {
+    const key = `${radarId}_${resolution}`;
+    let target = this.targets.get(key);
+    if (!target) {
+      target = {
+        key,
+        radarId,
+        resolution,
+        source,
+        lastRequested: 0,
+        subscribers: 0,
+        lastRun: null,
+        nextRun: Date.now(),
+        failures: 0,
+        lastError: null,
+        polling: false,
+        seen: new Set(),
+        framesFetched: 0
+      };
+      this.targets.set(key, target);
+      this.logger.info(`Prefetch watching ${radarId} ${resolution}km (${source})`);
+    }
+    return target;
+  }
+
+  /**
+   * Record a client request so the radar stays warm for the watch window
+   */
+  touch(radarId, resolution) {
+    if (!this.trackRecent || !this.isKnown(radarId)) return;
+    if (!this.targets.has(`${radarId}_${resolution}`) && !this.makeRoom()) return;
+    const target = this.addTarget(radarId, resolution, 'recent');
+    target.lastRequested = Date.now();
+  }
+
+  /**
+   * Keep recently requested targets under `maxRecent` by dropping the one
+   * requested longest ago; false if all of them have subscribers
+   */
+  makeRoom() {
+    const recent = Array.from(this.targets.values()).filter(target => target.source === 'recent');
+    if (recent.length < this.maxRecent) return true;
+
+    const oldest = recent
+      .filter(target => target.subscribers === 0)
+      .sort((a, b) => a.lastRequested - b.lastRequested)[0];
+    if (!oldest) return false;
+
+    this.targets.delete(oldest.key);
+    this.logger.info(`Prefetch stopped watching ${oldest.radarId} ${oldest.resolution}km (too many recent radars)`);
+    return true;
+  }
+
+  /**
+   * Keep a radar polled while event stream clients (or recordings) are subscribed to it
+   */
+  watch(radarId, resolution, source = 'stream') {
+    if (!this.isKnown(radarId)) return;
+    const target = this.addTarget(radarId, resolution, source);
+    target.subscribers++;
+    // Poll straight away so subscribers hear about the next frame promptly
+    if (!target.polling && target.lastRun === null) {
+      target.nextRun = Date.now();
+      this.tick();
+    }
+  }
+
+  unwatch(radarId, resolution) {
+    const target = this.targets.get(`${radarId}_${resolution}`);
+    if (!target) return;
+    target.subscribers = Math.max(0, target.subscribers - 1);
+    // Stays warm for the watch window like a recent request
+    target.lastRequested = Date.now();
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  tick() {
+    const now = Date.now();
+
+    for (const [key, target] of this.targets) {
+      if (target.source !== 'config' && target.subscribers === 0 && now - target.lastRequested > this.watchWindow) {
+        this.targets.delete(key);
+        this.logger.info(`Prefetch stopped watching ${target.radarId} ${target.resolution}km (no recent requests)`);
+        continue;
+      }
+
+      if (!target.polling && target.nextRun <= now) {
+        target.polling = true;
+        this.enqueue(() => this.poll(target));
+      }
+    }
+  }
+
+  /**
+   * Run jobs with at most `concurrency` in progress
+   */
+  enqueue(job) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ job, resolve, reject });
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const { job, resolve, reject } = this.queue.shift();
+      this.active++;
+      Promise.resolve()
+        .then(job)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * List the latest timestamps for a target and queue downloads for unseen frames
+   */
+  async poll(target) {
+    this.totals.polls++;
+    target.lastRun = Date.now();
+
+    try {
+      const { timestamps } = await this.listTimestamps(target.radarId, target.resolution, this.frames);
+      const fresh = timestamps.filter(timestamp => !target.seen.has(timestamp));
+
+      // Downloads go through the same queue so they share the concurrency limit;
+      // release this slot first so polls can't starve their own downloads
+      const results = Promise.all(fresh.map(timestamp => this.enqueue(async () => {
+        const result = await this.fetchImage(target.radarId, timestamp, target.resolution);
+        target.seen.add(timestamp);
+        if (!result.fromCache) {
+          target.framesFetched++;
+          this.totals.framesFetched++;
+        }
+      })));
+
+      this.finishPoll(target, results, timestamps);
+    } catch (error) {
+      this.fail(target, error);
+    }
+  }
+
+  async finishPoll(target, results, timestamps) {
+    try {
+      await results;
+      target.failures = 0;
+      target.lastError = null;
+      target.nextRun = Date.now() + this.interval;
+
+      // Forget frames that have rolled out of the listing
+      const current = new Set(timestamps);
+      for (const timestamp of target.seen) {
+        if (!current.has(timestamp)) target.seen.delete(timestamp);
+      }
+    } catch (error) {
+      this.fail(target, error);
+    } finally {
+      target.polling = false;
+    }
+  }
+
+  fail(target, error) {
+    target.failures++;
+    target.lastError = error.message;
+    target.polling = false;
+    this.totals.failures++;
+
+    const backoff = Math.min(this.baseBackoff * Math.pow(2, target.failures - 1), this.maxBackoff);
+    target.nextRun = Date.now() + backoff;
+    this.logger.warn(`Prefetch failed for ${target.radarId} ${target.resolution}km, retrying in ${Math.round(backoff / 1000)}s`, {
+      error: error.message,
+      failures: target.failures
+    });
+  }
+
+  status() {
+    return {
+      running: this.timer !== null,
+      frames: this.frames,
+      concurrency: this.concurrency,
+      active: this.active,
+      queued: this.queue.length,
+      ...this.totals,
+      targets: Array.from(this.targets.values()).map(target => ({
+        radarId: target.radarId,
+        resolution: target.resolution,
+        source: target.source,
+        subscribers: target.subscribers,
+        lastRun: target.lastRun ? new Date(target.lastRun).toISOString() : null,
+        nextRunIn: Math.max(0, Math.ceil((target.nextRun - Date.now()) / 1000)),
+        framesFetched: target.framesFetched,
+        failures: target.failures,
+        lastError: target.lastError
+      }))
+    };
+  }
+}
+
+module.exports = { Prefetcher };
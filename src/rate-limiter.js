@@ -0,0 +1,114 @@
+/**
+ * Token bucket rate limiter, one bucket per key
+ *
+ * Each bucket holds up to `burst` tokens and refills at `perMinute` tokens a
+ * minute. A call takes a token if one is left; otherwise it is refused with
+ * the seconds until the next token. Buckets that have refilled completely are
+ * the same as new ones, so they are dropped to keep memory bounded however
+ * many clients come and go.
+ */
+class RateLimiter {
+  constructor(options) {
+    this.name = options.name;
+    this.perMinute = options.perMinute;
+    this.burst = options.burst || options.perMinute;
+    this.logger = options.logger;
+    this.sweepInterval = options.sweepInterval || 60000;
+
+    this.buckets = new Map(); // key -> { tokens, updated }
+    this.lastSweep = Date.now();
+    this.totals = {
+      allowed: 0,
+      limited: 0
+    };
+  }
+
+  get enabled() {
+    return this.perMinute > 0;
+  }
+
+  refill(bucket, now) {
+    const elapsed = (now - bucket.updated) / 60000;
+    bucket.tokens = Math.min(this.burst, bucket.tokens + elapsed * this.perMinute);
+    bucket.updated = now;
+  }
+
+  /**
+   * Take a token for `key`; returns { allowed, remaining, retryAfter }
+   */
+  take(key) {
+    if (!this.enabled) {
+      return { allowed: true, remaining: Infinity, retryAfter: 0 };
+    }
+
+    const now = Date.now();
+    if (now - this.lastSweep >= this.sweepInterval) {
+      this.sweep(now);
+    }
+
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: this.burst, updated: now };
+      this.buckets.set(key, bucket);
+    } else {
+      this.refill(bucket, now);
+    }
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens--;
+      this.totals.allowed++;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    }
+
+    this.totals.limited++;
+    return {
+      allowed: false,
+      remaining: 0,
+      retryAfter: Math.max(1, Math.ceil((1 - bucket.tokens) * 60 / this.perMinute))
+    };
+  }
+
+  /**
+   * Drop buckets that are full again
+   */
+  sweep(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      this.refill(bucket, now);
+      if (bucket.tokens >= this.burst) {
+        this.buckets.delete(key);
+      }
+    }
+    this.lastSweep = now;
+  }
+
+  /**
+   * Express middleware limiting each client, as identified by `keyFor(req)`
+   */
+  middleware(keyFor) {
+    return (req, res, next) => {
+      const key = keyFor(req);
+      const result = this.take(key);
+
+      if (result.allowed) return next();
+
+      this.logger.warn(`${this.name} limit reached for ${key}: ${req.method} ${req.path}`);
+      res.set('Retry-After', result.retryAfter.toString());
+      res.status(429).json({
+        error: `Too many requests. Please wait ${result.retryAfter} seconds`,
+        retryAfter: result.retryAfter
+      });
+    };
+  }
+
+  status() {
+    return {
+      enabled: this.enabled,
+      perMinute: this.perMinute,
+      burst: this.burst,
+      tracked: this.buckets.size,
+      ...this.totals
+    };
+  }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,245 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Frames up to this long before the start are kept, so the frame on screen
+// when recording starts is part of it
+const RECORDING_LEAD = 10 * 60 * 1000;
+
+/**
+ * Storm recordings: every new frame of a radar over a period, kept for good
+ *
+ * While a recording runs its radar/resolutions are watched (polled by the
+ * prefetcher) and each new frame in the recording window is copied into its
+ * own directory under `dir`. Archived frames are outside the cache, so cache
+ * cleanup and size limits never touch them; they stay until the recording is
+ * deleted. Recording metadata is saved to `file` and active recordings resume
+ * after a restart.
+ */
+class Recordings {
+  constructor(options) {
+    this.dir = options.dir;
+    this.file = options.file;
+    this.logger = options.logger;
+    this.fetchFrame = options.fetchFrame;
+    this.listTimestamps = options.listTimestamps;
+    this.onWatch = options.onWatch || (() => {});
+    this.onUnwatch = options.onUnwatch || (() => {});
+
+    this.recordings = [];
+    this.timers = new Map(); // id -> end timer
+    this.queued = new Set(); // frames waiting to be captured
+    this.queue = Promise.resolve();
+  }
+
+  async load() {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    try {
+      this.recordings = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Recordings unreadable, starting with none: ${error.message}`);
+      }
+      this.recordings = [];
+    }
+
+    let resumed = 0;
+    for (const recording of this.recordings) {
+      if (recording.status !== 'recording') continue;
+
+      if (Date.parse(recording.endsAt) <= Date.now()) {
+        recording.status = 'finished';
+        recording.stoppedAt = recording.endsAt;
+      } else {
+        this.begin(recording);
+        resumed++;
+      }
+    }
+
+    await this.save();
+    this.logger.info(`Loaded ${this.recordings.length} recordings (${resumed} resumed)`);
+  }
+
+  async save() {
+    const tempPath = `${this.file}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(this.recordings, null, 2));
+    await fs.rename(tempPath, this.file);
+  }
+
+  list() {
+    return this.recordings.slice();
+  }
+
+  get(id) {
+    return this.recordings.find(recording => recording.id === id) || null;
+  }
+
+  active() {
+    return this.recordings.filter(recording => recording.status === 'recording');
+  }
+
+  frameDir(recording) {
+    return path.join(this.dir, recording.id);
+  }
+
+  framePath(recording, frame) {
+    return path.join(this.frameDir(recording), `${recording.radarId}_${frame.timestamp}_${frame.resolution}.png`);
+  }
+
+  async start({ radarId, resolutions, duration, label = '' }) {
+    const now = Date.now();
+    const recording = {
+      id: crypto.randomBytes(4).toString('hex'),
+      radarId,
+      resolutions,
+      label,
+      status: 'recording',
+      startedAt: new Date(now).toISOString(),
+      endsAt: new Date(now + duration * 60000).toISOString(),
+      stoppedAt: null,
+      frames: [],
+      lastError: null
+    };
+
+    await fs.mkdir(this.frameDir(recording), { recursive: true });
+    this.recordings.push(recording);
+    await this.save();
+    this.begin(recording);
+
+    this.logger.info(`Recording ${recording.id} started: ${radarId} ${resolutions.join('/')}km for ${duration} minutes${label ? ` (${label})` : ''}`);
+
+    // Capture what is already listed rather than waiting for the next poll
+    for (const resolution of resolutions) {
+      this.listTimestamps(radarId, resolution)
+        .then(({ timestamps }) => this.capture(radarId, resolution, timestamps))
+        .catch(error => this.logger.warn(`Recording ${recording.id}: initial listing failed: ${error.message}`));
+    }
+
+    return recording;
+  }
+
+  begin(recording) {
+    for (const resolution of recording.resolutions) {
+      this.onWatch(recording.radarId, resolution);
+    }
+
+    const timer = setTimeout(() => {
+      this.stop(recording.id).catch(error => this.logger.error(`Failed to finish recording ${recording.id}: ${error.message}`));
+    }, Math.max(0, Date.parse(recording.endsAt) - Date.now()));
+    timer.unref();
+    this.timers.set(recording.id, timer);
+  }
+
+  async stop(id) {
+    const recording = this.get(id);
+    if (!recording || recording.status !== 'recording') return recording;
+
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+    for (const resolution of recording.resolutions) {
+      this.onUnwatch(recording.radarId, resolution);
+    }
+
+    recording.status = 'finished';
+    recording.stoppedAt = new Date().toISOString();
+    await this.save();
+
+    this.logger.info(`Recording ${id} finished with ${recording.frames.length} frames`);
+    return recording;
+  }
+
+  async remove(id) {
+    const recording = await this.stop(id);
+    if (!recording) return null;
+
+    this.recordings = this.recordings.filter(entry => entry.id !== id);
+    await this.save();
+    await fs.rm(this.frameDir(recording), { recursive: true, force: true });
+
+    this.logger.info(`Recording ${id} deleted`);
+    return recording;
+  }
+
+  /**
+   * Queue every listed frame that falls inside an active recording's window
+   * Called with each fresh timestamp listing
+   */
+  capture(radarId, resolution, timestamps) {
+    for (const recording of this.active()) {
+      if (recording.radarId !== radarId || !recording.resolutions.includes(resolution)) continue;
+
+      const from = Date.parse(recording.startedAt) - RECORDING_LEAD;
+      const to = Date.parse(recording.endsAt);
+
+      for (const timestamp of timestamps) {
+        const time = timestampToTime(timestamp);
+        if (time < from || time > to) continue;
+
+        const key = `${recording.id}_${timestamp}_${resolution}`;
+        if (this.queued.has(key) || recording.frames.some(frame => frame.timestamp === timestamp && frame.resolution === resolution)) {
+          continue;
+        }
+
+        this.queued.add(key);
+        // One at a time, recordings shouldn't compete with viewers for FTP
+        this.queue = this.queue
+          .then(() => this.captureFrame(recording, timestamp, resolution))
+          .finally(() => this.queued.delete(key));
+      }
+    }
+  }
+
+  async captureFrame(recording, timestamp, resolution) {
+    // Deleted while queued
+    if (!this.get(recording.id)) return;
+
+    try {
+      const { buffer } = await this.fetchFrame(recording.radarId, timestamp, resolution);
+      const frame = { timestamp, resolution, size: buffer.length };
+      await fs.writeFile(this.framePath(recording, frame), buffer);
+
+      recording.frames.push(frame);
+      recording.frames.sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.resolution - b.resolution);
+      recording.lastError = null;
+      await this.save();
+      this.logger.debug(`Recording ${recording.id}: captured ${recording.radarId} ${timestamp} ${resolution}km`);
+    } catch (error) {
+      // Retried with the next listing while the frame is still listed
+      recording.lastError = `${timestamp} ${resolution}km: ${error.message}`;
+      this.logger.warn(`Recording ${recording.id}: failed to capture ${timestamp} ${resolution}km: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read an archived frame
+   */
+  readFrame(recording, frame) {
+    return fs.readFile(this.framePath(recording, frame));
+  }
+
+  status() {
+    return {
+      total: this.recordings.length,
+      active: this.active().length,
+      frames: this.recordings.reduce((sum, recording) => sum + recording.frames.length, 0),
+      sizeMB: Math.round(this.recordings.reduce((sum, recording) =>
+        sum + recording.frames.reduce((size, frame) => size + frame.size, 0), 0) / 1024 / 1024 * 100) / 100
+    };
+  }
+}
+
+/**
+ * Milliseconds since the epoch for a yyyyMMddHHmm UTC timestamp
+ */
+function timestampToTime(timestamp) {
+  return Date.UTC(
+    parseInt(timestamp.substring(0, 4)),
+    parseInt(timestamp.substring(4, 6)) - 1,
+    parseInt(timestamp.substring(6, 8)),
+    parseInt(timestamp.substring(8, 10)),
+    parseInt(timestamp.substring(10, 12))
+  );
+}
+
+module.exports = { Recordings };
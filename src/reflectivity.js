@@ -0,0 +1,123 @@
+/**
+ * BoM radar reflectivity palette
+ *
+ * Each colour in the radar frames is one rain-rate band of the BoM legend.
+ * dBZ is derived from the lower bound of the band with Marshall-Palmer
+ * (Z = 200 R^1.6), so both values are approximate.
+ */
+const BOM_PALETTE = [
+  { color: [245, 245, 255], rainRate: 0.2 },
+  { color: [180, 180, 255], rainRate: 0.5 },
+  { color: [120, 120, 255], rainRate: 1.5 },
+  { color: [20, 20, 255], rainRate: 2.5 },
+  { color: [0, 216, 195], rainRate: 4 },
+  { color: [0, 150, 144], rainRate: 6 },
+  { color: [0, 102, 102], rainRate: 10 },
+  { color: [255, 255, 0], rainRate: 15 },
+  { color: [255, 200, 0], rainRate: 20 },
+  { color: [255, 150, 0], rainRate: 35 },
+  { color: [255, 100, 0], rainRate: 50 },
+  { color: [255, 0, 0], rainRate: 80 },
+  { color: [200, 0, 0], rainRate: 120 },
+  { color: [120, 0, 0], rainRate: 200 },
+  { color: [40, 0, 0], rainRate: 360 }
+].map((entry, index) => ({
+  ...entry,
+  level: index + 1,
+  dbz: Math.round(10 * Math.log10(200 * Math.pow(entry.rainRate, 1.6)) * 10) / 10
+}));
+
+// Colours further than this from every palette entry are not rain (squared RGB distance)
+const MAX_COLOR_DISTANCE = 40 * 40;
+
+/**
+ * Map an RGBA pixel to its palette entry, or null for no rain
+ */
+function classifyPixel(r, g, b, a) {
+  if (a < 128) return null;
+
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const entry of BOM_PALETTE) {
+    const dr = r - entry.color[0];
+    const dg = g - entry.color[1];
+    const db = b - entry.color[2];
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < bestDistance) {
+      best = entry;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= MAX_COLOR_DISTANCE ? best : null;
+}
+
+/**
+ * Plain-language intensity for a rain rate in mm/h
+ */
+function describeRainRate(rainRate) {
+  if (rainRate <= 0) return 'none';
+  if (rainRate < 2.5) return 'light';
+  if (rainRate < 10) return 'moderate';
+  if (rainRate < 50) return 'heavy';
+  return 'very heavy';
+}
+
+/**
+ * Convert a decoded frame into a per-pixel palette level grid (0 = no rain)
+ * Colours are looked up once each, frames only contain a handful
+ */
+function frameToLevels(image) {
+  const levels = new Uint8Array(image.width * image.height);
+  const lookup = new Map();
+
+  for (let i = 0; i < levels.length; i++) {
+    const offset = i * 4;
+    if (image.data[offset + 3] < 128) continue;
+
+    const key = (image.data[offset] << 16) | (image.data[offset + 1] << 8) | image.data[offset + 2];
+    let level = lookup.get(key);
+    if (level === undefined) {
+      const entry = classifyPixel(image.data[offset], image.data[offset + 1], image.data[offset + 2], 255);
+      level = entry ? entry.level : 0;
+      lookup.set(key, level);
+    }
+    levels[i] = level;
+  }
+
+  return levels;
+}
+
+/**
+ * Rain rate (mm/h) for a palette level, 0 for no rain
+ */
+function levelToRainRate(level) {
+  return level > 0 ? BOM_PALETTE[level - 1].rainRate : 0;
+}
+
+/**
+ * Summary of a palette level for API responses
+ */
+function describeLevel(level) {
+  if (level <= 0) {
+    return { level: 0, dbz: null, rainRate: 0, intensity: 'none' };
+  }
+
+  const entry = BOM_PALETTE[level - 1];
+  return {
+    level: entry.level,
+    dbz: entry.dbz,
+    rainRate: entry.rainRate,
+    intensity: describeRainRate(entry.rainRate)
+  };
+}
+
+module.exports = {
+  BOM_PALETTE,
+  classifyPixel,
+  describeRainRate,
+  frameToLevels,
+  levelToRainRate,
+  describeLevel
+};
@@ -1,12 +1,28 @@
 const express = require('express');
-const ftp = require('ftp');
 const NodeCache = require('node-cache');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const winston = require('winston');
+const { SourceChain, createSource } = require('./sources');
+const { Prefetcher } = require('./prefetcher');
+const { FrameEvents } = require('./frame-events');
+const { MqttPublisher } = require('./mqtt-publisher');
+const { CacheIndex } = require('./cache-index');
+const { CachePins } = require('./cache-pins');
+const { TimestampStore } = require('./timestamp-store');
+const { Recordings } = require('./recordings');
+const { ZipWriter } = require('./zip');
+const { Authenticator } = require('./auth');
+const { RateLimiter } = require('./rate-limiter');
+const imaging = require('./imaging');
+const tiles = require('./tiles');
+const reflectivity = require('./reflectivity');
+const nowcast = require('./nowcast');
+const transforms = require('./transforms');
 
 // Configure logger
 const logLevel = process.env.LOG_LEVEL || 'info';
@@ -30,31 +46,182 @@ const logger = winston.createLogger({
 const app = express();
 const PORT = process.env.PORT || 3000;
 const CACHE_DIR = process.env.CACHE_DIR || '/data/cache';
-const FTP_HOST = 'ftp.bom.gov.au';
-const FTP_PATH = '/anon/gen/radar/';
+const DATA_DIR = process.env.DATA_DIR || '/data';
+const CACHE_INDEX_FILE = path.join(DATA_DIR, 'cache-index.json');
+const CACHE_PINS_FILE = path.join(DATA_DIR, 'cache-pins.json');
+const TIMESTAMP_STORE_FILE = path.join(DATA_DIR, 'timestamps.json');
+const RECORDINGS_FILE = path.join(DATA_DIR, 'recordings.json');
+const RECORDINGS_DIR = path.join(DATA_DIR, 'recordings');
+const UPSTREAM_SOURCES = (process.env.UPSTREAM_SOURCES || 'ftp://ftp.bom.gov.au/anon/gen').split(/[\s,]+/).filter(Boolean);
+const LAYERS_DIR = path.join(CACHE_DIR, 'layers');
+const LAYER_CACHE_TTL = 30 * 86400; // 30 days - static map layers rarely change
 const TIMESTAMP_REFRESH_INTERVAL = (parseInt(process.env.TIMESTAMP_REFRESH_INTERVAL) || 600) * 1000;
 const CURRENT_IMAGE_REFRESH_INTERVAL = 600000; // 10 minutes for current images
 const CURRENT_IMAGE_THRESHOLD = 1800; // 30 minutes - images newer than this are "current"
+const HISTORICAL_MAX_AGE = 31536000; // 1 year - browsers can keep past frames for good, they never change
 const DISK_CACHE_TTL = (parseInt(process.env.CACHE_TTL_HOURS) || 24) * 3600;
 const MAX_CACHE_SIZE_MB = parseInt(process.env.MAX_CACHE_SIZE_MB) || 1000;
+const CACHE_QUOTAS = (process.env.CACHE_QUOTAS || '').split(/[\s,]+/).filter(Boolean);
+const FTP_MAX_CONNECTIONS = parseInt(process.env.FTP_MAX_CONNECTIONS) || 3;
+const LOOP_MAX_FRAMES = 30;
+const LOOP_CACHE_TTL = 3600; // 1 hour - encoded loops are also replaced as soon as a new frame arrives
+const COMPOSITE_CACHE_TTL = 3600; // 1 hour for flattened layer + frame images
+const TILE_MIN_ZOOM = 5; // lower zooms would need most of the network's radars per tile
+const TILE_MAX_ZOOM = 12;
+const TILE_TIME_TOLERANCE = 900; // 15 minutes - radars without a frame this close to the tile time are left out
+const TILE_TIME_STEP = 6; // minutes - tile times are snapped to BoM's scan interval
+const TILE_MAX_RADARS = 12; // closest radars mosaicked into one tile
+const TILE_LOAD_CONCURRENCY = 2; // radar frames fetched and decoded at once per tile
+const TILE_CURRENT_TTL = 120; // 2 minutes - re-render current tiles as other radars' scans come in
+const DECODED_FRAME_CACHE_SIZE = 24; // decoded frames kept in memory for tile rendering and sampling
+const RAIN_MAX_RADIUS = 50; // km
+const NOWCAST_FRAMES = 4; // frames compared for motion
+const NOWCAST_HORIZON = 90; // minutes ahead to look for arriving rain
+const NOWCAST_LOOKAHEAD_KM = 60; // radar range must extend this far past the location
+const NOWCAST_WINDOW_KM = 40; // half-size of the block matched around the location
+const NOWCAST_MAX_SPEED_KMH = 120; // fastest rain motion searched for
+const EVENTS_MAX_CLIENTS = 100; // simultaneous SSE/WebSocket subscribers
+const EVENTS_MAX_SUBSCRIPTIONS = 20; // radar/resolutions one event client may subscribe to
+const EVENTS_HEARTBEAT = 30000; // 30 seconds - keeps idle streams open through proxies
+const PREFETCH_RADARS = (process.env.PREFETCH_RADARS || '').split(/[\s,]+/).filter(Boolean);
+const PREFETCH_RECENT = process.env.PREFETCH_RECENT !== 'false';
+const PREFETCH_FRAMES = parseInt(process.env.PREFETCH_FRAMES) || 12;
+const PREFETCH_CONCURRENCY = 2; // simultaneous background downloads
+const PREFETCH_WATCH_WINDOW = 3600000; // 1 hour - stop prefetching radars nobody has requested for this long
+const PREFETCH_MAX_RECENT = 20; // recently requested radar/resolutions watched at once
+const FTP_IDLE_TIMEOUT = 60000; // 1 minute - close pooled FTP connections unused for this long
+const SOURCE_BREAKER_THRESHOLD = 3; // consecutive connection failures before skipping a source
+const SOURCE_BREAKER_COOLDOWN = 30000; // 30 seconds - first retry after the circuit opens, doubling each time
+const SOURCE_BREAKER_MAX_COOLDOWN = 600000; // 10 minutes
+const MQTT_ENABLED = process.env.MQTT_ENABLED === 'true';
+const MQTT_HOST = process.env.MQTT_HOST || '';
+const MQTT_PORT = parseInt(process.env.MQTT_PORT) || 1883;
+const MQTT_USERNAME = process.env.MQTT_USERNAME || '';
+const MQTT_PASSWORD = process.env.MQTT_PASSWORD || '';
+const MQTT_DISCOVERY_PREFIX = process.env.MQTT_DISCOVERY_PREFIX || 'homeassistant';
+const MQTT_TOPIC_PREFIX = process.env.MQTT_TOPIC_PREFIX || 'bom_radar';
+const MQTT_RADARS = (process.env.MQTT_RADARS || '').split(/[\s,]+/).filter(Boolean);
+const MQTT_LOCATIONS = process.env.MQTT_LOCATIONS || '[]'; // JSON array of {name, latitude, longitude, radius}
+const MQTT_PUBLISH_INTERVAL = 60000; // 1 minute - states are read from cache, this only bounds frame age staleness
+const RECORDING_MAX_DURATION = 72 * 60; // minutes
+const RECORDING_MAX_ACTIVE = 5; // simultaneous recordings
+const API_KEYS = (process.env.API_KEYS || '').split(/[\s,]+/).filter(Boolean);
+const HA_TOKEN_AUTH = process.env.HA_TOKEN_AUTH === 'true';
+const HA_URL = process.env.HA_URL || 'http://homeassistant:8123';
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(/[\s,]+/).filter(Boolean);
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE || '240'); // upstream-bound requests per client, 0 disables
+const RATE_LIMIT_BURST = parseInt(process.env.RATE_LIMIT_BURST) || 120;
+const UPSTREAM_MAX_PER_MINUTE = parseInt(process.env.UPSTREAM_MAX_PER_MINUTE) || 60; // upstream downloads across all clients
+const NOT_FOUND_TTL = 3600; // 1 hour - frames BoM answered 550 for
+const NOT_FOUND_CURRENT_TTL = 60; // 1 minute - a current frame may just not be uploaded yet
+const FRAME_MAX_AGE = 24 * 3600; // 1 day - well past what BoM keeps, uncached frames older than this aren't requested
+const FRAME_MAX_AHEAD = 600; // 10 minutes - allowance for clock skew on future timestamps
 
 // Memory cache for metadata
 const metaCache = new NodeCache({ stdTTL: TIMESTAMP_REFRESH_INTERVAL / 1000, checkperiod: 120 });
 
-// Track last timestamp refresh time per radar
+// Encoded animation loops, keyed by radar/resolution/options
+const loopCache = new NodeCache({ stdTTL: LOOP_CACHE_TTL, checkperiod: 600, useClones: false });
+
+// Flattened layer + frame images, keyed by frame, layer set and caption
+const compositeCache = new NodeCache({ stdTTL: COMPOSITE_CACHE_TTL, checkperiod: 600, useClones: false });
+
+// Nowcasts per location, replaced when a newer frame arrives
+const nowcastCache = new NodeCache({ stdTTL: TIMESTAMP_REFRESH_INTERVAL / 1000, checkperiod: 120, useClones: false });
+
+// Decoded RGBA frames for tile rendering, oldest evicted first
+const decodedFrames = new Map();
+
+// Track last timestamp refresh time per radar and resolution
 const lastTimestampRefresh = new Map();
 
+// Listings saved across restarts
+const timestampStore = new TimestampStore({
+  file: TIMESTAMP_STORE_FILE,
+  logger
+});
+
+// Listings rebuilt at startup from saved lists and cached files, served until the first upstream listing
+const seededTimestamps = new Map();
+
+// In-flight upstream work keyed by cache key, so concurrent callers share one download
+const inflight = new Map();
+
+// Frames BoM answered 550 for, so repeated requests don't each cost a download
+const notFoundCache = new NodeCache({ stdTTL: NOT_FOUND_TTL, checkperiod: 600 });
+
+// Global budget for upstream downloads, whoever or whatever asks for them
+const upstreamLimiter = new RateLimiter({
+  name: 'Upstream download',
+  perMinute: UPSTREAM_MAX_PER_MINUTE,
+  logger
+});
+
+// Sizes and times of cached frames and tiles, so nothing has to list the cache directory
+const cacheIndex = new CacheIndex({
+  dir: CACHE_DIR,
+  file: CACHE_INDEX_FILE,
+  logger
+});
+
+// Frame ranges protected from eviction and TTL cleanup
+const cachePins = new CachePins({
+  file: CACHE_PINS_FILE,
+  logger
+});
+
+// Where frames and layers come from, in fallback order. Each source stops
+// being asked while it is down; with all of them down callers use the cache
+const upstream = new SourceChain({
+  sources: UPSTREAM_SOURCES.map(spec => createSource(spec, {
+    ftpMaxConnections: FTP_MAX_CONNECTIONS,
+    ftpIdleTimeout: FTP_IDLE_TIMEOUT,
+    logger
+  })),
+  breakerThreshold: SOURCE_BREAKER_THRESHOLD,
+  breakerCooldown: SOURCE_BREAKER_COOLDOWN,
+  breakerMaxCooldown: SOURCE_BREAKER_MAX_COOLDOWN,
+  logger
+});
+
 // Resolution suffix mapping
 const RESOLUTION_SUFFIX = {
   64: '1',
   128: '2',
   256: '3',
-  512: '4'  // Composite - may skip this
+  512: '4'  // Composite mosaics only
 };
 
-// Resolutions to support (skip 512 composite)
+// Resolutions to support for single radars
 const SUPPORTED_RESOLUTIONS = [64, 128, 256];
 
+// Composite mosaics (IDR000xx) come in a single 512 product, the suffix is part of the ID
+const COMPOSITE_RESOLUTION = 512;
+
+// Static transparency layers published alongside the radar frames
+const SUPPORTED_LAYERS = ['background', 'topography', 'catchments', 'waterways', 'locations', 'range'];
+
+// Stacking order when flattening, as on the BoM website: these go under the radar frame...
+const UNDERLAY_LAYERS = ['background', 'topography', 'catchments'];
+// ...and these on top of it
+const OVERLAY_LAYERS = ['waterways', 'range', 'locations'];
+
+// BoM radar frames are square images centred on the radar, covering +/- the range
+const RADAR_IMAGE_SIZE = 512;
+const EARTH_RADIUS_KM = 6371;
+
+// IANA timezone for each state, for radar-local times
+const STATE_TIMEZONES = {
+  ACT: 'Australia/Sydney',
+  NSW: 'Australia/Sydney',
+  NT: 'Australia/Darwin',
+  QLD: 'Australia/Brisbane',
+  SA: 'Australia/Adelaide',
+  TAS: 'Australia/Hobart',
+  VIC: 'Australia/Melbourne',
+  WA: 'Australia/Perth'
+};
+
 // Configure Express
 app.use(helmet({
   contentSecurityPolicy: false, // Allow ingress iframe
@@ -62,25 +229,21 @@ app.use(helmet({
 app.use(compression());
 
 // Enhanced CORS for card access
-app.use(cors({
-  origin: function(origin, callback) {
-    // Allow requests with no origin (like mobile apps or curl)
-    if (!origin) return callback(null, true);
-    
-    // Allow all origins that include 'homeassistant' or 'localhost'
-    if (origin.includes('homeassistant') || 
-        origin.includes('localhost') || 
-        origin.includes('127.0.0.1') ||
-        origin.includes('192.168.')) {
-      return callback(null, true);
-    }
-    
-    // Allow the origin
-    callback(null, true);
-  },
-  credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Accept', 'Authorization']
+/**
+ * Whether a browser page on `origin` may call the API
+ * Any origin is allowed until an allowlist is configured, as before it existed
+ */
+function isAllowedOrigin(origin) {
+  return CORS_ORIGINS.length === 0 || CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin);
+}
+
+app.use(cors((req, callback) => {
+  callback(null, {
+    // Requests without an Origin (apps, curl, <img> on the same page) aren't CORS
+    origin: !req.headers.origin || isAllowedOrigin(req.headers.origin),
+    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Accept', 'Authorization', 'X-API-Key']
+  });
 }));
 
 app.use(express.json());
@@ -98,12 +261,19 @@ app.use((req, res, next) => {
   next();
 });
 
+/**
+ * URL with any api_key query parameter masked, for logs
+ */
+function redactUrl(url) {
+  return url.replace(/([?&]api_key=)[^&]*/g, '$1REDACTED');
+}
+
 // Catch-all request logger for debugging
 app.use((req, res, next) => {
   logger.info('=== REQUEST RECEIVED ===', {
     method: req.method,
-    url: req.url,
-    originalUrl: req.originalUrl,
+    url: redactUrl(req.url),
+    originalUrl: redactUrl(req.originalUrl),
     path: req.path,
     baseUrl: req.baseUrl,
     ip: req.ip,
@@ -131,7 +301,7 @@ app.use((req, res, next) => {
   logger.debug('Incoming request', {
     method: req.method,
     path: req.path,
-    query: req.query,
+    query: req.query.api_key ? { ...req.query, api_key: 'REDACTED' } : req.query,
     ip: req.ip,
     userAgent: req.get('user-agent')
   });
@@ -157,20 +327,65 @@ app.use((req, res, next) => {
   next();
 });
 
+// API keys / HA tokens for the directly exposed port; ingress is always trusted
+const authenticator = new Authenticator({
+  apiKeys: API_KEYS,
+  haTokens: HA_TOKEN_AUTH,
+  haUrl: HA_URL,
+  logger
+});
+
+if (authenticator.enabled) {
+  logger.info(`API authentication on: ${API_KEYS.length} API keys${HA_TOKEN_AUTH ? ', Home Assistant tokens' : ''}`);
+} else {
+  logger.warn('API authentication off: anyone who can reach port 3000 can use the API');
+}
+
+// Health checks stay open for monitoring
+app.use(authenticator.middleware(['/health']));
+
+// Per-client budget for requests that can turn into upstream listings or downloads
+const clientLimiter = new RateLimiter({
+  name: 'Client request',
+  perMinute: RATE_LIMIT_PER_MINUTE,
+  burst: RATE_LIMIT_BURST,
+  logger
+});
+
+/**
+ * Client a request is counted against: the browser's address for ingress
+ * (forwarded by Home Assistant), otherwise the connecting address, which
+ * unlike X-Forwarded-For can't be made up
+ */
+function clientKey(req) {
+  return authenticator.isIngress(req) ? req.ip : req.socket.remoteAddress;
+}
+
+const upstreamRateLimit = clientLimiter.middleware(clientKey);
+
 // Then continue with your routes...
 
 // Ensure cache directory exists
 (async () => {
   try {
     await fs.mkdir(CACHE_DIR, { recursive: true });
+    await fs.mkdir(LAYERS_DIR, { recursive: true });
+    await fs.mkdir(DATA_DIR, { recursive: true });
     logger.info(`Cache directory ready: ${CACHE_DIR}`);
   } catch (error) {
     logger.error('Failed to create cache directory:', error);
   }
+  
+  await cachePins.load();
+  await cacheIndex.load();
+  await restoreTimestampState();
+  await loadKnownRadars();
+  await recordings.load().catch(error => logger.error(`Failed to load recordings: ${error.message}`));
 })();
 
 /**
  * Parse timestamp string to Date object
+ * BoM filenames are UTC, so don't let the container's timezone shift them
  */
 function parseTimestamp(timestamp) {
   const year = parseInt(timestamp.substring(0, 4));
@@ -179,14 +394,36 @@ function parseTimestamp(timestamp) {
   const hour = parseInt(timestamp.substring(8, 10));
   const minute = parseInt(timestamp.substring(10, 12));
   
-  return new Date(year, month, day, hour, minute);
+  return new Date(Date.UTC(year, month, day, hour, minute));
+}
+
+/**
+ * Format a Date as a BoM yyyyMMddHHmm UTC timestamp
+ */
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-T:]/g, '').substring(0, 12);
+}
+
+/**
+ * Parse a from/to query value, either yyyyMMddHHmm or ISO 8601, to a timestamp
+ * ISO times without an offset are taken as UTC, like BoM's own. Returns null
+ * when the value can't be parsed
+ */
+function parseTimeParam(value) {
+  if (/^\d{12}$/.test(value)) {
+    return value;
+  }
+  
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(value) || !value.includes('T');
+  const time = Date.parse(hasZone ? value : `${value}Z`);
+  return isNaN(time) ? null : formatTimestamp(new Date(time));
 }
 
 /**
  * Check if enough time has passed since last timestamp refresh
  */
-function canRefreshTimestamps(radarId) {
-  const lastRefresh = lastTimestampRefresh.get(radarId);
+function canRefreshTimestamps(radarId, resolution) {
+  const lastRefresh = lastTimestampRefresh.get(`${radarId}_${resolution}`);
   if (!lastRefresh) {
     return true;
   }
@@ -198,15 +435,15 @@ function canRefreshTimestamps(radarId) {
 /**
  * Update last timestamp refresh time
  */
-function updateTimestampRefreshTime(radarId) {
-  lastTimestampRefresh.set(radarId, Date.now());
+function updateTimestampRefreshTime(radarId, resolution) {
+  lastTimestampRefresh.set(`${radarId}_${resolution}`, Date.now());
 }
 
 /**
  * Get time until next allowed timestamp refresh
  */
-function getTimeUntilNextRefresh(radarId) {
-  const lastRefresh = lastTimestampRefresh.get(radarId);
+function getTimeUntilNextRefresh(radarId, resolution) {
+  const lastRefresh = lastTimestampRefresh.get(`${radarId}_${resolution}`);
   if (!lastRefresh) {
     return 0;
   }
@@ -217,91 +454,170 @@ function getTimeUntilNextRefresh(radarId) {
 }
 
 /**
- * Build radar URL with resolution suffix
+ * Run fn once per key, concurrent callers wait on the same promise
+ * The entry is removed once settled, so failures reach every waiter but are not cached
+ */
+function singleFlight(key, fn) {
+  const existing = inflight.get(key);
+  if (existing) {
+    logger.debug(`Joining in-flight request: ${key}`);
+    return existing;
+  }
+  
+  const promise = Promise.resolve()
+    .then(fn)
+    .finally(() => inflight.delete(key));
+  inflight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Map items through an async fn, at most `limit` at a time, keeping order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Content-hash ETag for a response body
+ * Weak ETags are for JSON whose bookkeeping fields (e.g. nextRefreshIn) change
+ * while the data they describe doesn't
+ */
+function contentEtag(body, weak = false) {
+  const hash = crypto.createHash('sha1').update(body).digest('base64url').substring(0, 27);
+  return `${weak ? 'W/' : ''}"${hash}"`;
+}
+
+/**
+ * Set validators and answer with 304 if the client's copy is still current
+ * Returns true when the 304 has been sent; headers already set (Cache-Control)
+ * go out with it
+ */
+function sendNotModified(req, res, etag, lastModified) {
+  res.set('ETag', etag);
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+  
+  if (!req.fresh) return false;
+  
+  res.status(304).end();
+  return true;
+}
+
+/**
+ * Composite mosaic product IDs look like IDR00004 (national)
+ */
+function isCompositeId(radarId) {
+  return /^IDR000\d{2}$/.test(radarId);
+}
+
+/**
+ * Single radar (IDRxx/IDRxxx) or composite mosaic ID
+ */
+function isValidRadarId(radarId) {
+  return /^IDR\d{2,3}$/.test(radarId) || isCompositeId(radarId);
+}
+
+/**
+ * Resolutions available for a radar or composite
+ */
+function supportedResolutionsFor(radarId) {
+  return isCompositeId(radarId) ? [COMPOSITE_RESOLUTION] : SUPPORTED_RESOLUTIONS;
+}
+
+/**
+ * BoM filename prefix for a radar at a resolution
+ * IDRxx + suffix for single radars; composites are already a full product ID
  */
-function buildRadarUrl(radarId, timestamp, resolution) {
-  const suffix = RESOLUTION_SUFFIX[resolution];
-  if (!suffix) {
+function radarFilePrefix(radarId, resolution) {
+  if (!supportedResolutionsFor(radarId).includes(resolution)) {
     throw new Error(`Invalid resolution: ${resolution}`);
   }
   
+  return isCompositeId(radarId) ? radarId : `${radarId}${RESOLUTION_SUFFIX[resolution]}`;
+}
+
+/**
+ * Frame filename with resolution suffix
+ */
+function radarFilename(radarId, timestamp, resolution) {
   // Format: IDRxxxS.T.yyyyMMddHHmm.png where S is the resolution suffix
-  const filename = `${radarId}${suffix}.T.${timestamp}.png`;
-  const remotePath = path.join(FTP_PATH, filename);
+  return `${radarFilePrefix(radarId, resolution)}.T.${timestamp}.png`;
+}
+
+/**
+ * Download a radar frame from the upstream sources
+ */
+async function downloadFrame(radarId, timestamp, resolution) {
+  return downloadFile(radarFilename(radarId, timestamp, resolution));
+}
+
+/**
+ * Download a frame or layer file from the upstream sources into a buffer
+ */
+function downloadFile(filename) {
+  const budget = upstreamLimiter.take('downloads');
+  if (!budget.allowed) {
+    logger.warn(`Upstream download budget of ${UPSTREAM_MAX_PER_MINUTE}/min used up, not downloading ${filename}`);
+    const error = new Error(`Upstream download limit reached, retrying in ${budget.retryAfter}s`);
+    error.code = 'UPSTREAM_BUDGET';
+    error.retryAfter = budget.retryAfter;
+    return Promise.reject(error);
+  }
   
-  return { filename, remotePath };
+  logger.info(`Downloading: ${filename}`);
+  return upstream.fetch(filename);
 }
 
 /**
- * Connect to BoM FTP server
+ * Whether an error means the BoM server couldn't be reached (as opposed to a missing file)
  */
-function connectFTP() {
-  return new Promise((resolve, reject) => {
-    const client = new ftp();
-    
-    const timeout = setTimeout(() => {
-      client.destroy();
-      reject(new Error('FTP connection timeout'));
-    }, 30000);
-    
-    client.on('ready', () => {
-      clearTimeout(timeout);
-      resolve(client);
-    });
-    
-    client.on('error', (err) => {
-      clearTimeout(timeout);
-      reject(err);
-    });
-    
-    client.connect({
-      host: FTP_HOST,
-      connTimeout: 30000,
-      pasvTimeout: 30000,
-      keepalive: 30000
-    });
-  });
+function isUpstreamError(error) {
+  return error.code === 'UPSTREAM_UNAVAILABLE' || error.code === 'UPSTREAM_BUDGET';
 }
 
 /**
- * Download file from FTP
+ * Seconds to wait before retrying after an upstream error
  */
-async function downloadFromFTP(radarId, timestamp, resolution) {
-  const client = await connectFTP();
-  const { remotePath } = buildRadarUrl(radarId, timestamp, resolution);
+function upstreamRetryAfter(error) {
+  return error.retryAfter || upstream.retryAfter();
+}
+
+/**
+ * Why a frame can't be downloaded from BoM, as a 550 error, or null if it may be there
+ * Checked before downloading so made-up timestamps never reach BoM
+ */
+function frameUnavailable(cacheKey, imageAge) {
+  let reason = null;
+  if (imageAge > FRAME_MAX_AGE) {
+    reason = `older than ${FRAME_MAX_AGE / 3600} hours`;
+  } else if (imageAge < -FRAME_MAX_AHEAD) {
+    reason = 'in the future';
+  } else if (notFoundCache.has(cacheKey)) {
+    reason = 'recently not found on the BoM server';
+  }
   
-  return new Promise((resolve, reject) => {
-    logger.info(`Downloading: ${remotePath}`);
-    
-    const chunks = [];
-    
-    client.get(remotePath, (err, stream) => {
-      if (err) {
-        client.end();
-        reject(err);
-        return;
-      }
-      
-      stream.on('data', (chunk) => {
-        chunks.push(chunk);
-      });
-      
-      stream.on('end', () => {
-        client.end();
-        const buffer = Buffer.concat(chunks);
-        resolve(buffer);
-      });
-      
-      stream.on('error', (err) => {
-        client.end();
-        reject(err);
-      });
-    });
-  });
+  if (!reason) return null;
+  
+  const error = new Error(`Radar image ${cacheKey} is ${reason}`);
+  error.code = 550;
+  return error;
 }
 
 /**
- * Get cached image or download from FTP
+ * Get cached image or download from upstream
  * Uses timestamp from filename and resolution to determine cache freshness
  */
 async function getRadarImage(radarId, timestamp, resolution) {
@@ -309,12 +625,12 @@ async function getRadarImage(radarId, timestamp, resolution) {
     radarId, 
     timestamp, 
     resolution,
-    supportedResolutions: SUPPORTED_RESOLUTIONS 
+    supportedResolutions: supportedResolutionsFor(radarId) 
   });
    
   // Validate resolution
-  if (!SUPPORTED_RESOLUTIONS.includes(resolution)) {
-    throw new Error(`Unsupported resolution: ${resolution}. Supported: ${SUPPORTED_RESOLUTIONS.join(', ')}`);
+  if (!supportedResolutionsFor(radarId).includes(resolution)) {
+    throw new Error(`Unsupported resolution: ${resolution}. Supported: ${supportedResolutionsFor(radarId).join(', ')}`);
   }
   
   const cacheKey = `${radarId}_${timestamp}_${resolution}`;
@@ -325,48 +641,84 @@ async function getRadarImage(radarId, timestamp, resolution) {
   const imageAge = (Date.now() - timestampDate.getTime()) / 1000; // seconds since image timestamp
   const isCurrent = imageAge < CURRENT_IMAGE_THRESHOLD; // Is this a "current" image (<30 min old)?
   
+  // Another request is already downloading this frame, wait for it
+  // rather than reading a file that may still be being written
+  if (inflight.has(cacheKey)) {
+    const buffer = await inflight.get(cacheKey);
+    return {
+      buffer: buffer,
+      fromCache: false,
+      cacheAge: 0,
+      imageAge: Math.floor(imageAge),
+      resolution: resolution
+    };
+  }
+  
   // Check if file exists in cache
-  try {
-    const stats = await fs.stat(cachePath);
-    const fileCacheAge = (Date.now() - stats.mtimeMs) / 1000; // seconds since file was cached
+  const cached = await cacheIndex.lookup(cacheKey);
+  // Expired copy kept until the download succeeds, served if BoM is unreachable
+  let stale = null;
+  
+  if (!cached) {
+    logger.debug(`Cache miss: ${cacheKey}`);
+  } else {
+    const fileCacheAge = (Date.now() - cached.cachedAt) / 1000; // seconds since file was cached
+    const pinned = cachePins.isPinned(cached);
     
     // Check if cache has expired (24 hours on disk)
-    if (fileCacheAge >= DISK_CACHE_TTL) {
+    if (fileCacheAge >= DISK_CACHE_TTL && !pinned) {
       logger.info(`Cache expired: ${cacheKey} (file age: ${Math.floor(fileCacheAge)}s)`);
-      await fs.unlink(cachePath);
-    } else {
+      stale = cached;
+    } else if (pinned || !isCurrent || imageAge < (CURRENT_IMAGE_REFRESH_INTERVAL / 1000)) {
       // If historical image (>30 min old from timestamp), always use cache
       // If current image (<30 min old from timestamp), only use if image timestamp is <10 min old
-      if (!isCurrent || imageAge < (CURRENT_IMAGE_REFRESH_INTERVAL / 1000)) {
+      try {
+        const buffer = await fs.readFile(cachePath);
+        cacheIndex.touch(cacheKey);
         logger.info(`Cache hit: ${cacheKey} (image timestamp ${Math.floor(imageAge)}s ago, cached ${Math.floor(fileCacheAge)}s ago, current: ${isCurrent})`);
         return {
-          buffer: await fs.readFile(cachePath),
+          buffer: buffer,
           fromCache: true,
           cacheAge: Math.floor(fileCacheAge),
           imageAge: Math.floor(imageAge),
           resolution: resolution
         };
-      } else {
-        logger.info(`Current image timestamp past 10min threshold: ${cacheKey} (timestamp is ${Math.floor(imageAge)}s old)`);
-        await fs.unlink(cachePath);
+      } catch (error) {
+        // Deleted behind the index's back, download it again
+        logger.warn(`Indexed cache file missing: ${cacheKey}`);
+        cacheIndex.forget(cacheKey);
       }
+    } else {
+      logger.info(`Current image timestamp past 10min threshold: ${cacheKey} (timestamp is ${Math.floor(imageAge)}s old)`);
+      stale = cached;
     }
-  } catch (error) {
-    // File doesn't exist, continue to download
-    logger.debug(`Cache miss: ${cacheKey}`);
   }
   
-  // Download from FTP immediately
+  const unavailable = frameUnavailable(cacheKey, imageAge);
+  if (unavailable) {
+    logger.info(`Not downloading: ${unavailable.message}`);
+    if (stale) await cacheIndex.remove(cacheKey);
+    throw unavailable;
+  }
+  
+  // Download from upstream immediately
   try {
-    logger.info(`Downloading radar image: ${cacheKey} (timestamp is ${Math.floor(imageAge)}s old)`);
-    const buffer = await downloadFromFTP(radarId, timestamp, resolution);
-    
-    // Save to cache
-    await fs.writeFile(cachePath, buffer);
-    logger.info(`Cached: ${cacheKey} (${Math.floor(buffer.length / 1024)}KB)`);
-    
-    // Check and enforce cache size limit
-    checkCacheSize();
+    const buffer = await singleFlight(cacheKey, async () => {
+      logger.info(`Downloading radar image: ${cacheKey} (timestamp is ${Math.floor(imageAge)}s old)`);
+      const buffer = await downloadFrame(radarId, timestamp, resolution);
+      
+      // Save to cache (write then rename so readers never see a partial file)
+      const tempPath = `${cachePath}.tmp`;
+      await fs.writeFile(tempPath, buffer);
+      await fs.rename(tempPath, cachePath);
+      cacheIndex.add(cacheKey, buffer.length);
+      logger.info(`Cached: ${cacheKey} (${Math.floor(buffer.length / 1024)}KB)`);
+      
+      // Check and enforce cache size limit
+      checkCacheSize();
+      
+      return buffer;
+    });
     
     return {
       buffer: buffer,
@@ -376,43 +728,110 @@ async function getRadarImage(radarId, timestamp, resolution) {
       resolution: resolution
     };
   } catch (error) {
+    if (stale && isUpstreamError(error)) {
+      try {
+        const buffer = await fs.readFile(cachePath);
+        logger.warn(`BoM unreachable, serving stale ${cacheKey}: ${error.message}`);
+        return {
+          buffer: buffer,
+          fromCache: true,
+          stale: true,
+          cacheAge: Math.floor((Date.now() - stale.cachedAt) / 1000),
+          imageAge: Math.floor(imageAge),
+          resolution: resolution
+        };
+      } catch (readError) {
+        cacheIndex.forget(cacheKey);
+      }
+    } else if (stale) {
+      await cacheIndex.remove(cacheKey);
+    }
+    
+    if (error.code === 550) {
+      notFoundCache.set(cacheKey, true, isCurrent ? NOT_FOUND_CURRENT_TTL : NOT_FOUND_TTL);
+    }
+    
     logger.error(`Failed to download ${cacheKey}:`, error.message);
     throw error;
   }
 }
 
 /**
- * List available timestamps for a radar
+ * Fetch the full timestamp list for a radar and resolution from upstream, newest first
  */
+async function fetchTimestampList(radarId, resolution) {
+  const prefix = radarFilePrefix(radarId, resolution);
+  const names = await upstream.list(prefix);
+  
+  // Filter files matching the radar ID pattern with resolution suffix
+  const pattern = new RegExp(`^${prefix}\\.T\\.(\\d{12})\\.png$`);
+  const timestamps = names
+    .map(name => {
+      const match = name.match(pattern);
+      return match ? match[1] : null;
+    })
+    .filter(Boolean)
+    .sort()
+    .reverse();
+  
+  metaCache.set(`timestamps_${radarId}_${resolution}`, timestamps);
+  // Listed now, so an earlier 550 no longer holds
+  notFoundCache.del(timestamps.map(timestamp => `${radarId}_${timestamp}_${resolution}`));
+  seededTimestamps.delete(`timestamps_${radarId}_${resolution}`);
+  timestampStore.set(radarId, resolution, timestamps);
+  updateTimestampRefreshTime(radarId, resolution);
+  frameEvents.publish(radarId, resolution, timestamps);
+  recordings.capture(radarId, resolution, timestamps);
+  
+  logger.info(`Retrieved ${timestamps.length} timestamps for ${radarId} ${resolution}km`);
+  
+  return timestamps;
+}
+
 /**
  * List available timestamps for a radar at a specific resolution
  */
 async function listAvailableTimestamps(radarId, resolution, maxResults = 20, force = false) {
-  const suffix = RESOLUTION_SUFFIX[resolution];
-  if (!suffix) {
-    throw new Error(`Invalid resolution: ${resolution}`);
-  }
+  // Throws on resolutions this radar doesn't have
+  radarFilePrefix(radarId, resolution);
   
   const cacheKey = `timestamps_${radarId}_${resolution}`;
   const cached = metaCache.get(cacheKey);
   
   if (cached && !force) {
-    const nextRefresh = getTimeUntilNextRefresh(radarId);
+    const nextRefresh = getTimeUntilNextRefresh(radarId, resolution);
     logger.info(`Timestamp cache hit: ${radarId} ${resolution}km (next refresh in ${nextRefresh}s)`);
     return {
-      timestamps: cached,
+      timestamps: cached.slice(0, maxResults),
       fromCache: true,
       nextRefreshIn: nextRefresh
     };
   }
   
-  if (!force && !canRefreshTimestamps(radarId)) {
-    const waitTime = getTimeUntilNextRefresh(radarId);
-    logger.warn(`Timestamp refresh rate limited for ${radarId}, ${waitTime}s remaining`);
+  // Rebuilt at startup: answer straight away and list upstream in the background
+  const seeded = seededTimestamps.get(cacheKey);
+  if (seeded && !force) {
+    if (!inflight.has(cacheKey) && canRefreshTimestamps(radarId, resolution)) {
+      singleFlight(cacheKey, () => fetchTimestampList(radarId, resolution))
+        .catch(error => logger.warn(`Background timestamp refresh failed for ${radarId} ${resolution}km: ${error.message}`));
+    }
+    
+    logger.info(`Timestamp list from startup rebuild: ${radarId} ${resolution}km (${seeded.length} frames)`);
+    return {
+      timestamps: seeded.slice(0, maxResults),
+      fromCache: true,
+      nextRefreshIn: getTimeUntilNextRefresh(radarId, resolution)
+    };
+  }
+  
+  // Joining a listing that is already running doesn't count as a new refresh
+  if (!force && !inflight.has(cacheKey) && !canRefreshTimestamps(radarId, resolution)) {
+    const waitTime = getTimeUntilNextRefresh(radarId, resolution);
+    logger.warn(`Timestamp refresh rate limited for ${radarId} ${resolution}km, ${waitTime}s remaining`);
     
     if (cached) {
       return {
-        timestamps: cached,
+        timestamps: cached.slice(0, maxResults),
         fromCache: true,
         nextRefreshIn: waitTime,
         rateLimited: true
@@ -422,131 +841,1156 @@ async function listAvailableTimestamps(radarId, resolution, maxResults = 20, for
     throw new Error(`Rate limit: Please wait ${waitTime} seconds before refreshing timestamps for ${radarId}`);
   }
   
-  // ADD TIMEOUT TO FTP CONNECTION
-  const client = await Promise.race([
-    connectFTP(),
-    new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('FTP connection timeout')), 10000)
-    )
-  ]);
+  let timestamps;
+  try {
+    timestamps = await singleFlight(cacheKey, () => fetchTimestampList(radarId, resolution));
+  } catch (error) {
+    if (!isUpstreamError(error)) throw error;
     
-  return new Promise((resolve, reject) => {
-    // ADD TIMEOUT TO LIST OPERATION
-    const listTimeout = setTimeout(() => {
-      client.end();
-      reject(new Error(`Timeout listing files for ${radarId}`));
-    }, 15000); // 15 second timeout
+    // BoM is unreachable: list the frames we can still serve from disk
+    const onDisk = await listCachedTimestamps(radarId, resolution);
+    if (onDisk.length === 0) throw error;
     
-    client.list(FTP_PATH, (err, list) => {
-      client.end();
-      
-      if (err) {
-        reject(err);
-        return;
-      }
-      
-      // Filter files matching the radar ID pattern with resolution suffix
-      const pattern = new RegExp(`^${radarId}${suffix}\\.T\\.(\\d{12})\\.png$`);
-      const timestamps = list
-        .filter(item => item.type === '-' && pattern.test(item.name))
-        .map(item => {
-          const match = item.name.match(pattern);
-          return match ? match[1] : null;
-        })
-        .filter(Boolean)
-        .sort()
-        .reverse()
-        .slice(0, maxResults);
-      
-      metaCache.set(cacheKey, timestamps);
-      updateTimestampRefreshTime(radarId);
-      
-      logger.info(`Retrieved ${timestamps.length} timestamps for ${radarId} ${resolution}km`);
-      
-      resolve({
-        timestamps: timestamps,
-        fromCache: false,
-        nextRefreshIn: TIMESTAMP_REFRESH_INTERVAL / 1000
-      });
-    });
-  });
+    logger.warn(`BoM unreachable, listing ${onDisk.length} cached frames for ${radarId} ${resolution}km: ${error.message}`);
+    return {
+      timestamps: onDisk.slice(0, maxResults),
+      fromCache: true,
+      stale: true,
+      nextRefreshIn: Math.max(upstream.retryAfter(), 1)
+    };
+  }
+  
+  return {
+    timestamps: timestamps.slice(0, maxResults),
+    fromCache: false,
+    nextRefreshIn: TIMESTAMP_REFRESH_INTERVAL / 1000
+  };
 }
 
 /**
- * Find closest radar to given coordinates
+ * Restore timestamp listings and refresh times saved before the last restart
+ * Listings still within the refresh interval are used as-is; the rest are
+ * rebuilt from the saved list plus the frames cached on disk
  */
-function findClosestRadar(lat, lon, radarData) {
-  let closestRadar = null;
-  let minDistance = Infinity;
+async function restoreTimestampState() {
+  await timestampStore.load();
+  const now = Date.now();
+  const rebuilt = new Map();
+  let restored = 0;
   
-  for (const feature of radarData.features) {
-    const radarLat = feature.geometry.coordinates[1];
-    const radarLon = feature.geometry.coordinates[0];
+  for (const { radarId, resolution, timestamps, refreshedAt } of timestampStore.entries()) {
+    const age = now - refreshedAt;
     
-    const R = 6371;
-    const dLat = (radarLat - lat) * Math.PI / 180;
-    const dLon = (radarLon - lon) * Math.PI / 180;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(lat * Math.PI / 180) * Math.cos(radarLat * Math.PI / 180) *
-              Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    const distance = R * c;
-    
-    if (distance < minDistance) {
-      minDistance = distance;
-      closestRadar = {
-        id: feature.properties.id,
-        name: feature.properties.name,
-        state: feature.properties.state,
-        distance: Math.round(distance * 10) / 10,
-        lat: radarLat,
-        lon: radarLon
-      };
+    if (age < TIMESTAMP_REFRESH_INTERVAL) {
+      metaCache.set(`timestamps_${radarId}_${resolution}`, timestamps, Math.ceil((TIMESTAMP_REFRESH_INTERVAL - age) / 1000));
+      lastTimestampRefresh.set(`${radarId}_${resolution}`, refreshedAt);
+      restored++;
+    } else {
+      rebuilt.set(`timestamps_${radarId}_${resolution}`, new Set(timestamps));
     }
   }
   
-  return closestRadar;
+  for (const entry of cacheIndex.values()) {
+    const key = `timestamps_${entry.radarId}_${entry.resolution}`;
+    if (entry.type !== 'frame' || entry.variant || metaCache.has(key)) continue;
+    
+    if (!rebuilt.has(key)) rebuilt.set(key, new Set());
+    rebuilt.get(key).add(entry.timestamp);
+  }
+  
+  for (const [key, timestamps] of rebuilt) {
+    seededTimestamps.set(key, Array.from(timestamps).sort().reverse());
+  }
+  
+  logger.info(`Timestamp lists restored for ${restored} radars, rebuilt for ${rebuilt.size} from saved lists and cached frames`);
 }
 
 /**
- * Check cache size and clean up if necessary
+ * Timestamps of the frames cached on disk for a radar and resolution, newest first
  */
-async function checkCacheSize() {
-  try {
-    const files = await fs.readdir(CACHE_DIR);
-    let totalSize = 0;
-    const fileStats = [];
+async function listCachedTimestamps(radarId, resolution) {
+  await cacheIndex.load();
+  return cacheIndex.values()
+    .filter(entry => entry.type === 'frame' && !entry.variant && entry.radarId === radarId && entry.resolution === resolution)
+    .map(entry => entry.timestamp)
+    .sort()
+    .reverse();
+}
+
+/**
+ * Timestamps between from and to inclusive, newest first, merging the upstream
+ * listing with the frames cached on disk so history reaches back over the
+ * whole cache TTL. A step (minutes) keeps at most one frame per step
+ */
+async function listTimestampRange(radarId, resolution, { from, to, step, limit, force }) {
+  const listing = await listAvailableTimestamps(radarId, resolution, Infinity, force);
+  const onDisk = await listCachedTimestamps(radarId, resolution);
+  
+  const merged = Array.from(new Set([...listing.timestamps, ...onDisk]))
+    .filter(timestamp => (!from || timestamp >= from) && (!to || timestamp <= to))
+    .sort()
+    .reverse();
+  
+  let timestamps = merged;
+  if (step) {
+    timestamps = [];
+    let lastKept = null;
     
-    for (const file of files) {
-      if (!file.endsWith('.png')) continue;
-      
-      const filePath = path.join(CACHE_DIR, file);
-      const stats = await fs.stat(filePath);
-      totalSize += stats.size;
-      fileStats.push({ path: filePath, size: stats.size, mtime: stats.mtimeMs });
+    for (const timestamp of merged) {
+      const time = parseTimestamp(timestamp).getTime();
+      if (lastKept === null || lastKept - time >= step * 60000) {
+        timestamps.push(timestamp);
+        lastKept = time;
+      }
     }
+  }
+  
+  const listed = new Set(listing.timestamps);
+  
+  return {
+    ...listing,
+    timestamps: timestamps.slice(0, limit),
+    archived: timestamps.slice(0, limit).filter(timestamp => !listed.has(timestamp)).length
+  };
+}
+
+/**
+ * Parse "IDR02:128" style entries into radar/resolution pairs
+ * Entries that aren't a known radar at a resolution it has are returned in `invalid`
+ */
+function parseRadarTargets(entries) {
+  const targets = [];
+  const invalid = [];
+  
+  for (const entry of entries) {
+    const match = String(entry).trim().match(/^(IDR\d{2,5}):(\d+)$/);
+    const resolution = match ? parseInt(match[2]) : NaN;
     
-    const totalSizeMB = totalSize / 1024 / 1024;
+    if (!match || !isValidRadarId(match[1]) || !supportedResolutionsFor(match[1]).includes(resolution)) {
+      invalid.push(String(entry));
+      continue;
+    }
     
-    if (totalSizeMB > MAX_CACHE_SIZE_MB) {
-      logger.warn(`Cache size ${Math.round(totalSizeMB)}MB exceeds limit ${MAX_CACHE_SIZE_MB}MB, cleaning up...`);
+    targets.push({ radarId: match[1], resolution });
+  }
+  
+  return { targets, invalid };
+}
+
+/**
+ * Parse radar entries from the add-on options, skipping invalid ones
+ */
+function parseConfiguredRadars(entries, option) {
+  const { targets, invalid } = parseRadarTargets(entries);
+  
+  for (const entry of invalid) {
+    logger.warn(`Ignoring invalid ${option} entry: ${entry} (expected e.g. IDR02:128)`);
+  }
+  
+  return targets;
+}
+
+const PREFETCH_TARGETS = parseConfiguredRadars(PREFETCH_RADARS, 'prefetch_radars');
+
+// Background prefetcher keeping watched radars warm
+const prefetcher = new Prefetcher({
+  listTimestamps: (radarId, resolution, maxResults) => listAvailableTimestamps(radarId, resolution, maxResults),
+  fetchImage: getRadarImage,
+  logger,
+  interval: TIMESTAMP_REFRESH_INTERVAL,
+  frames: PREFETCH_FRAMES,
+  concurrency: PREFETCH_CONCURRENCY,
+  watchWindow: PREFETCH_WATCH_WINDOW,
+  trackRecent: PREFETCH_RECENT,
+  maxRecent: PREFETCH_MAX_RECENT,
+  isKnown: isKnownRadar,
+  configured: PREFETCH_TARGETS
+});
+
+// Live new-frame announcements, fed by every timestamp listing
+const frameEvents = new FrameEvents({
+  logger,
+  parseTargets: parseEventTargets,
+  onWatch: (radarId, resolution) => prefetcher.watch(radarId, resolution),
+  onUnwatch: (radarId, resolution) => prefetcher.unwatch(radarId, resolution),
+  maxClients: EVENTS_MAX_CLIENTS,
+  maxSubscriptions: EVENTS_MAX_SUBSCRIPTIONS,
+  heartbeatInterval: EVENTS_HEARTBEAT,
+  // WebSocket upgrades skip Express middleware, so CORS and auth are checked here
+  authorize: async req => (!req.headers.origin || isAllowedOrigin(req.headers.origin)) &&
+    (await authenticator.authenticate(req)).allowed
+});
+
+// Storm recordings, archived outside the cache; captures are fed by every timestamp listing
+const recordings = new Recordings({
+  dir: RECORDINGS_DIR,
+  file: RECORDINGS_FILE,
+  logger,
+  fetchFrame: getRadarImage,
+  listTimestamps: (radarId, resolution) => listAvailableTimestamps(radarId, resolution, Infinity),
+  onWatch: (radarId, resolution) => prefetcher.watch(radarId, resolution, 'recording'),
+  onUnwatch: (radarId, resolution) => prefetcher.unwatch(radarId, resolution)
+});
+
+/**
+ * Parse configured MQTT locations, skipping entries without a name and valid coordinates
+ */
+function parseMqttLocations(json) {
+  let entries;
+  try {
+    entries = JSON.parse(json);
+  } catch (error) {
+    logger.warn(`Ignoring invalid MQTT locations: ${error.message}`);
+    return [];
+  }
+  
+  return (Array.isArray(entries) ? entries : []).filter(entry => {
+    const valid = entry && entry.name &&
+      Math.abs(entry.latitude) <= 90 && Math.abs(entry.longitude) <= 180 &&
+      (entry.radius === undefined || (entry.radius >= 0 && entry.radius <= RAIN_MAX_RADIUS));
+    if (!valid) {
+      logger.warn(`Ignoring invalid MQTT location: ${JSON.stringify(entry)}`);
+    }
+    return valid;
+  });
+}
+
+/**
+ * Newest frame of a radar with its age, for MQTT sensors
+ */
+async function getLatestFrameInfo(radarId, resolution) {
+  const { timestamps } = await listAvailableTimestamps(radarId, resolution, 1);
+  if (timestamps.length === 0) {
+    return null;
+  }
+  
+  const time = parseTimestamp(timestamps[0]);
+  return {
+    radarId,
+    resolution,
+    timestamp: timestamps[0],
+    time: time.toISOString(),
+    ageMinutes: Math.max(0, Math.floor((Date.now() - time.getTime()) / 60000))
+  };
+}
+
+// Optional MQTT publisher for Home Assistant sensors
+const mqttPublisher = MQTT_ENABLED && MQTT_HOST ? new MqttPublisher({
+  url: `mqtt://${MQTT_HOST}:${MQTT_PORT}`,
+  username: MQTT_USERNAME,
+  password: MQTT_PASSWORD,
+  discoveryPrefix: MQTT_DISCOVERY_PREFIX,
+  topicPrefix: MQTT_TOPIC_PREFIX,
+  radars: parseConfiguredRadars(MQTT_RADARS, 'mqtt_radars'),
+  locations: parseMqttLocations(MQTT_LOCATIONS),
+  interval: MQTT_PUBLISH_INTERVAL,
+  getLatestFrame: getLatestFrameInfo,
+  getRain: (lat, lon, radius) => getRainAtLocation(lat, lon, radius),
+  logger
+}) : null;
+
+/**
+ * Build an animated loop from the latest frames of a radar
+ * The encoded result is cached until a newer frame shows up in the listing
+ */
+async function getRadarLoop(radarId, resolution, frameCount, format, delay) {
+  const { timestamps, stale = false } = await listAvailableTimestamps(radarId, resolution, frameCount);
+  if (timestamps.length === 0) {
+    const error = new Error(`No frames available for ${radarId} ${resolution}km`);
+    error.code = 550;
+    throw error;
+  }
+  
+  const latest = timestamps[0];
+  const cacheKey = `loop_${radarId}_${resolution}_${frameCount}_${format}_${delay}`;
+  const cached = loopCache.get(cacheKey);
+  
+  if (cached && cached.latest === latest) {
+    logger.info(`Loop cache hit: ${cacheKey} (latest ${latest})`);
+    return { ...cached, fromCache: true, stale };
+  }
+  
+  return singleFlight(`${cacheKey}_${latest}`, async () => {
+    // Oldest first for playback; frames that fail to download are skipped
+    const ordered = timestamps.slice().reverse();
+    const results = await Promise.allSettled(
+      ordered.map(timestamp => getRadarImage(radarId, timestamp, resolution))
+    );
+    
+    const frames = [];
+    const included = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        frames.push(imaging.decodePng(result.value.buffer));
+        included.push(ordered[index]);
+      } else {
+        logger.warn(`Skipping loop frame ${radarId} ${ordered[index]}: ${result.reason.message}`);
+      }
+    });
+    
+    if (frames.length === 0) {
+      throw results[0].reason;
+    }
+    
+    const delays = frames.map(() => delay);
+    const buffer = format === 'gif'
+      ? imaging.encodeGif(frames, delays)
+      : imaging.encodeApng(frames, delays);
+    
+    const entry = { latest, timestamps: included, buffer, format };
+    loopCache.set(cacheKey, entry);
+    logger.info(`Encoded loop: ${cacheKey} (${frames.length} frames, ${Math.floor(buffer.length / 1024)}KB)`);
+    
+    return { ...entry, fromCache: false, stale };
+  });
+}
+
+/**
+ * Get a cached transparency layer or download it from upstream
+ * Layers live in their own directory with a long TTL, outside the frame cache limits
+ */
+async function getRadarLayer(radarId, resolution, layer) {
+  const filename = `${radarFilePrefix(radarId, resolution)}.${layer}.png`;
+  const cachePath = path.join(LAYERS_DIR, filename);
+  let stale = null;
+  
+  try {
+    const stats = await fs.stat(cachePath);
+    const fileCacheAge = (Date.now() - stats.mtimeMs) / 1000;
+    const buffer = await fs.readFile(cachePath);
+    
+    if (fileCacheAge < LAYER_CACHE_TTL) {
+      logger.debug(`Layer cache hit: ${filename}`);
+      return { buffer, fromCache: true, cacheAge: Math.floor(fileCacheAge) };
+    }
+    
+    logger.info(`Layer cache expired: ${filename} (file age: ${Math.floor(fileCacheAge)}s)`);
+    stale = { buffer, fromCache: true, cacheAge: Math.floor(fileCacheAge) };
+  } catch (error) {
+    logger.debug(`Layer cache miss: ${filename}`);
+  }
+  
+  try {
+    const buffer = await singleFlight(`layer_${filename}`, async () => {
+      const buffer = await downloadFile(filename);
+      
+      const tempPath = `${cachePath}.tmp`;
+      await fs.writeFile(tempPath, buffer);
+      await fs.rename(tempPath, cachePath);
+      logger.info(`Cached layer: ${filename} (${Math.floor(buffer.length / 1024)}KB)`);
+      
+      return buffer;
+    });
+    
+    return { buffer, fromCache: false, cacheAge: 0 };
+  } catch (error) {
+    // Keep serving an expired layer rather than failing, it has almost certainly not changed
+    if (stale && error.code !== 550) {
+      logger.warn(`Layer refresh failed for ${filename}, serving expired copy: ${error.message}`);
+      return stale;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load the radar catalog, read from disk once
+ */
+let radarDataPromise = null;
+function loadRadarData() {
+  if (!radarDataPromise) {
+    radarDataPromise = fs.readFile(path.join(__dirname, 'radars.json'), 'utf8')
+      .then(JSON.parse)
+      .catch((error) => {
+        radarDataPromise = null;
+        throw error;
+      });
+  }
+  return radarDataPromise;
+}
+
+// Radar IDs in the catalog, filled at startup; only these are prefetched
+const knownRadars = new Set();
+
+async function loadKnownRadars() {
+  try {
+    const radarData = await loadRadarData();
+    radarData.features.forEach(feature => knownRadars.add(feature.properties.id));
+  } catch (error) {
+    logger.error(`Failed to load radar catalog: ${error.message}`);
+  }
+}
+
+function isKnownRadar(radarId) {
+  return knownRadars.has(radarId);
+}
+
+/**
+ * Parse event subscriptions; radars missing from the catalog are invalid too,
+ * since each subscription keeps its radar polled upstream
+ */
+function parseEventTargets(entries) {
+  const { targets, invalid } = parseRadarTargets(entries);
+  
+  for (const target of targets.filter(({ radarId }) => !isKnownRadar(radarId))) {
+    invalid.push(`${target.radarId}:${target.resolution}`);
+  }
+  
+  return { targets: targets.filter(({ radarId }) => isKnownRadar(radarId)), invalid };
+}
+
+/**
+ * Look up a radar's catalog properties (name, state...) by ID
+ */
+async function getRadarInfo(radarId) {
+  const radarData = await loadRadarData();
+  const feature = radarData.features.find(f => f.properties.id === radarId);
+  return feature ? feature.properties : null;
+}
+
+/**
+ * Georeference a radar image: lat/lon box and pixel size for a range
+ * The frames are a local projection around the radar; over a few hundred km a
+ * lat/lon box matches them closely enough for an L.imageOverlay
+ */
+function computeRadarBounds(lon, lat, resolution) {
+  const dLat = (resolution / EARTH_RADIUS_KM) * 180 / Math.PI;
+  const dLon = dLat / Math.cos(lat * Math.PI / 180);
+  const round = value => Math.round(value * 1e6) / 1e6;
+  
+  const bounds = {
+    north: round(lat + dLat),
+    south: round(lat - dLat),
+    east: round(lon + dLon),
+    west: round(lon - dLon)
+  };
+  
+  return {
+    resolution,
+    center: { lat, lon },
+    bounds,
+    leafletBounds: [[bounds.south, bounds.west], [bounds.north, bounds.east]],
+    width: RADAR_IMAGE_SIZE,
+    height: RADAR_IMAGE_SIZE,
+    pixelSizeMeters: Math.round((resolution * 2 * 1000 / RADAR_IMAGE_SIZE) * 100) / 100,
+    projection: 'azimuthal-equidistant'
+  };
+}
+
+/**
+ * Wall-clock date, time and zone abbreviation of a Date in an IANA timezone
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-AU', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+    timeZoneName: 'short'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+  return parts;
+}
+
+/**
+ * ISO 8601 local time with its UTC offset, e.g. 2024-10-24T01:30:00+11:00
+ * The offset comes from the wall-clock time, so it follows DST
+ */
+function formatLocalTime(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offset = Math.round((wallClock - date.getTime()) / 60000);
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  
+  return {
+    local: `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${sign}${hours}:${minutes}`,
+    abbreviation: parts.timeZoneName
+  };
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-AU', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Format a yyyyMMddHHmm timestamp for an image caption, in UTC or radar-local time
+ */
+function formatCaptionTime(timestamp, mode, state) {
+  const utc = `${timestamp.substring(0, 4)}-${timestamp.substring(4, 6)}-${timestamp.substring(6, 8)} ` +
+    `${timestamp.substring(8, 10)}:${timestamp.substring(10, 12)}`;
+  const timeZone = STATE_TIMEZONES[state];
+  
+  if (mode !== 'local' || !timeZone) {
+    return `${utc} UTC`;
+  }
+  
+  const parts = zonedParts(parseTimestamp(timestamp), timeZone);
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute} ${parts.timeZoneName}`;
+}
+
+/**
+ * UTC and radar-local times for a list of yyyyMMddHHmm timestamps
+ * timeZone is null for radars without one (the national composite), which
+ * then only get UTC
+ */
+function describeTimestamps(timestamps, timeZone) {
+  return timestamps.map(timestamp => {
+    const date = parseTimestamp(timestamp);
+    const entry = { timestamp, utc: date.toISOString() };
+    
+    if (timeZone) {
+      const { local, abbreviation } = formatLocalTime(date, timeZone);
+      entry.local = local;
+      entry.timeZoneName = abbreviation;
+    }
+    
+    return entry;
+  });
+}
+
+/**
+ * Flatten transparency layers and a radar frame into one PNG
+ * Layers that can't be fetched are left out rather than failing the image
+ */
+async function getCompositeImage(radarId, timestamp, resolution, layers, caption) {
+  const cacheKey = `composite_${radarId}_${timestamp}_${resolution}_${layers.join('+') || 'none'}_${caption}`;
+  const cached = compositeCache.get(cacheKey);
+  
+  if (cached) {
+    logger.debug(`Composite cache hit: ${cacheKey}`);
+    return { ...cached, fromCache: true };
+  }
+  
+  return singleFlight(cacheKey, async () => {
+    const frame = await getRadarImage(radarId, timestamp, resolution);
+    
+    const loadLayers = names => Promise.all(names
+      .filter(name => layers.includes(name))
+      .map(async (name) => {
+        try {
+          return imaging.decodePng((await getRadarLayer(radarId, resolution, name)).buffer);
+        } catch (error) {
+          logger.warn(`Leaving ${name} layer out of composite for ${radarId}: ${error.message}`);
+          return null;
+        }
+      }));
+    
+    const [under, over] = await Promise.all([loadLayers(UNDERLAY_LAYERS), loadLayers(OVERLAY_LAYERS)]);
+    const frameImage = imaging.decodePng(frame.buffer);
+    const image = imaging.createImage(frameImage.width, frameImage.height);
+    
+    for (const layer of [...under, frameImage, ...over]) {
+      if (layer) imaging.composite(image, layer);
+    }
+    
+    if (caption !== 'none') {
+      const info = await getRadarInfo(radarId);
+      const name = info ? info.name : radarId;
+      imaging.drawCaption(image, `${name} ${resolution}KM ${formatCaptionTime(timestamp, caption, info && info.state)}`);
+    }
+    
+    const entry = {
+      buffer: imaging.encodePng(image),
+      imageAge: frame.imageAge,
+      resolution
+    };
+    compositeCache.set(cacheKey, entry);
+    logger.info(`Composited: ${cacheKey} (${Math.floor(entry.buffer.length / 1024)}KB)`);
+    
+    return { ...entry, fromCache: false };
+  });
+}
+
+/**
+ * Pick the timestamp closest to the target, if within tolerance (seconds)
+ */
+function findNearestTimestamp(timestamps, target, tolerance) {
+  const targetTime = parseTimestamp(target).getTime();
+  let nearest = null;
+  let nearestDiff = Infinity;
+  
+  for (const timestamp of timestamps) {
+    const diff = Math.abs(parseTimestamp(timestamp).getTime() - targetTime);
+    if (diff < nearestDiff) {
+      nearest = timestamp;
+      nearestDiff = diff;
+    }
+  }
+  
+  return nearestDiff <= tolerance * 1000 ? nearest : null;
+}
+
+/**
+ * Get a radar frame as decoded RGBA pixels, keeping recent ones in memory
+ */
+async function getDecodedFrame(radarId, timestamp, resolution) {
+  const key = `${radarId}_${timestamp}_${resolution}`;
+  
+  if (decodedFrames.has(key)) {
+    const image = decodedFrames.get(key);
+    decodedFrames.delete(key);
+    decodedFrames.set(key, image);
+    return image;
+  }
+  
+  const { buffer } = await getRadarImage(radarId, timestamp, resolution);
+  const image = imaging.decodePng(buffer);
+  
+  decodedFrames.set(key, image);
+  if (decodedFrames.size > DECODED_FRAME_CACHE_SIZE) {
+    decodedFrames.delete(decodedFrames.keys().next().value);
+  }
+  
+  return image;
+}
+
+/**
+ * Decode listed frames (newest first) for analysis
+ * When BoM can't be reached for one of them, the newest frames cached on disk
+ * are used instead and the result is marked stale
+ */
+async function getLatestDecodedFrames(radarId, resolution, timestamps) {
+  const decode = async list => {
+    const frames = [];
+    for (const timestamp of list) {
+      frames.push({ timestamp, image: await getDecodedFrame(radarId, timestamp, resolution) });
+    }
+    return frames;
+  };
+  
+  try {
+    return { frames: await decode(timestamps), stale: false };
+  } catch (error) {
+    if (!isUpstreamError(error)) throw error;
+    
+    const onDisk = (await listCachedTimestamps(radarId, resolution)).slice(0, timestamps.length);
+    if (onDisk.length === 0) throw error;
+    
+    logger.warn(`BoM unreachable, using ${onDisk.length} cached frames for ${radarId} ${resolution}km: ${error.message}`);
+    return { frames: await decode(onDisk), stale: true };
+  }
+}
+
+/**
+ * Load the nearest-in-time frame of one radar for a tile, or null if there isn't one
+ * Throws if BoM is unreachable and nothing close enough is cached
+ */
+async function loadTileSource(radar, timestamp) {
+  try {
+    const { timestamps } = await listAvailableTimestamps(radar.radarId, radar.resolution, 50);
+    const nearest = findNearestTimestamp(timestamps, timestamp, TILE_TIME_TOLERANCE);
+    if (!nearest) {
+      logger.debug(`No frame near ${timestamp} for ${radar.radarId} ${radar.resolution}km`);
+      return null;
+    }
+    
+    return await tileSource(radar, nearest);
+  } catch (error) {
+    if (!isUpstreamError(error)) {
+      logger.warn(`Leaving ${radar.radarId} out of tile: ${error.message}`);
+      return null;
+    }
+    
+    // BoM is unreachable: the nearest frame cached on disk may still do
+    const onDisk = findNearestTimestamp(await listCachedTimestamps(radar.radarId, radar.resolution), timestamp, TILE_TIME_TOLERANCE);
+    if (!onDisk) throw error;
+    
+    logger.warn(`BoM unreachable, using cached ${radar.radarId} ${onDisk} in tile: ${error.message}`);
+    return { ...await tileSource(radar, onDisk), stale: true };
+  }
+}
+
+async function tileSource(radar, timestamp) {
+  return {
+    ...radar,
+    timestamp,
+    rangeKm: radar.resolution,
+    bounds: computeRadarBounds(radar.lon, radar.lat, radar.resolution).bounds,
+    image: await getDecodedFrame(radar.radarId, timestamp, radar.resolution)
+  };
+}
+
+/**
+ * Get a transformed frame (format, crop, resize, recolour), cached next to
+ * the original under the same TTL, size limit and pins
+ * A variant older than its original (a current frame re-downloaded since) is
+ * rebuilt
+ */
+async function getRadarVariant(radarId, timestamp, resolution, transform) {
+  const original = await getRadarImage(radarId, timestamp, resolution);
+  const originalKey = `${radarId}_${timestamp}_${resolution}`;
+  const cacheKey = `${originalKey}~${transforms.variantId(transform)}`;
+  const cachePath = path.join(CACHE_DIR, CacheIndex.fileName(cacheKey));
+  
+  const cached = await cacheIndex.lookup(cacheKey);
+  const source = cacheIndex.get(originalKey);
+  
+  if (cached && (!source || cached.cachedAt >= source.cachedAt)) {
+    try {
+      const buffer = await fs.readFile(cachePath);
+      cacheIndex.touch(cacheKey);
+      logger.debug(`Variant cache hit: ${cacheKey}`);
+      return { ...original, buffer, fromCache: true };
+    } catch (error) {
+      cacheIndex.forget(cacheKey);
+    }
+  }
+  
+  return singleFlight(cacheKey, async () => {
+    const buffer = await transforms.applyTransform(original.buffer, transform);
+    
+    // Stale originals (BoM unreachable) aren't worth caching derivatives of
+    if (!original.stale) {
+      const tempPath = `${cachePath}.tmp`;
+      await fs.writeFile(tempPath, buffer);
+      await fs.rename(tempPath, cachePath);
+      cacheIndex.add(cacheKey, buffer.length);
+      checkCacheSize();
+    }
+    
+    logger.info(`Transformed ${cacheKey}: ${original.buffer.length} -> ${buffer.length} bytes`);
+    return { ...original, buffer, fromCache: false };
+  });
+}
+
+/**
+ * Tile time on BoM's scan grid, so arbitrary minutes share one cached tile
+ */
+function snapTileTimestamp(timestamp) {
+  const minute = parseInt(timestamp.substring(10, 12));
+  return `${timestamp.substring(0, 10)}${String(minute - minute % TILE_TIME_STEP).padStart(2, '0')}`;
+}
+
+/**
+ * Get a cached Web Mercator tile or render it from the radars covering it
+ * Tiles are cached in CACHE_DIR alongside the frames and share their TTL and size limit
+ */
+async function getRadarTile(timestamp, z, x, y) {
+  const cacheKey = `tile_${timestamp}_${z}_${x}_${y}`;
+  const cachePath = path.join(CACHE_DIR, `${cacheKey}.png`);
+  const tileAge = (Date.now() - parseTimestamp(timestamp).getTime()) / 1000;
+  const isCurrent = tileAge < CURRENT_IMAGE_THRESHOLD;
+  
+  const cached = await cacheIndex.lookup(cacheKey);
+  const fileCacheAge = cached ? (Date.now() - cached.cachedAt) / 1000 : Infinity;
+  
+  // Current tiles are re-rendered shortly after, as other radars' scans arrive
+  if (fileCacheAge < DISK_CACHE_TTL && (!isCurrent || fileCacheAge < TILE_CURRENT_TTL)) {
+    try {
+      const buffer = await fs.readFile(cachePath);
+      cacheIndex.touch(cacheKey);
+      logger.debug(`Tile cache hit: ${cacheKey}`);
+      return {
+        buffer,
+        fromCache: true,
+        isCurrent
+      };
+    } catch (error) {
+      cacheIndex.forget(cacheKey);
+    }
+  }
+  
+  logger.debug(`Tile cache miss: ${cacheKey}`);
+  
+  return singleFlight(cacheKey, async () => {
+    const box = tiles.tileBounds(z, x, y);
+    const maxRange = Math.max(...SUPPORTED_RESOLUTIONS);
+    const radarData = await loadRadarData();
+    const candidates = [];
+    
+    for (const feature of radarData.features) {
+      if (isCompositeId(feature.properties.id)) continue;
+      
+      const [lon, lat] = feature.geometry.coordinates;
+      const { nearest, farthest } = tiles.boxDistanceKm(lat, lon, box);
+      if (nearest > maxRange) continue;
+      
+      // Finest range that still covers the whole tile from this radar
+      const resolution = SUPPORTED_RESOLUTIONS.find(r => r >= farthest) || maxRange;
+      candidates.push({ radarId: feature.properties.id, lat, lon, resolution, nearest });
+    }
+    
+    // Each radar is a listing, maybe a download and a ~1MB decode: use the
+    // closest few, a couple at a time
+    candidates.sort((a, b) => a.nearest - b.nearest);
+    const failures = [];
+    const sources = (await mapWithConcurrency(candidates.slice(0, TILE_MAX_RADARS), TILE_LOAD_CONCURRENCY,
+      radar => loadTileSource(radar, timestamp).catch(error => {
+        failures.push(error);
+        return null;
+      })))
+      .filter(Boolean);
+    
+    if (sources.length === 0 && failures.length > 0) {
+      throw failures[0];
+    }
+    
+    const buffer = imaging.encodePng(tiles.renderTile(z, x, y, sources));
+    
+    // A tile missing radars that BoM couldn't send, or standing in older
+    // cached frames for them, is served but not kept
+    const stale = failures.length > 0 || sources.some(source => source.stale);
+    if (!stale) {
+      const tempPath = `${cachePath}.tmp`;
+      await fs.writeFile(tempPath, buffer);
+      await fs.rename(tempPath, cachePath);
+      cacheIndex.add(cacheKey, buffer.length);
+      checkCacheSize();
+    }
+    logger.info(`Rendered tile: ${cacheKey} (${sources.length} radars${failures.length > 0 ? `, ${failures.length} unreachable` : ''})`);
+    
+    return {
+      buffer,
+      fromCache: false,
+      isCurrent,
+      stale,
+      radars: sources.map(source => `${source.radarId}:${source.resolution}:${source.timestamp}`)
+    };
+  });
+}
+
+/**
+ * Sample rain at a location from the latest frame of the closest radar
+ * With a radius (km), also reports the max and mean over that circle
+ */
+async function getRainAtLocation(lat, lon, radiusKm = 0) {
+  const radarData = await loadRadarData();
+  const radar = findClosestRadar(lat, lon, radarData);
+  const maxRange = Math.max(...SUPPORTED_RESOLUTIONS);
+  
+  if (!radar || radar.distance + radiusKm > maxRange) {
+    const error = new Error(`Location is outside radar coverage${radar ? ` (${radar.distance}km from ${radar.name})` : ''}`);
+    error.code = 'NOT_COVERED';
+    throw error;
+  }
+  
+  // Finest range that covers the whole sample circle
+  const resolution = SUPPORTED_RESOLUTIONS.find(r => r >= radar.distance + radiusKm);
+  const { timestamps } = await listAvailableTimestamps(radar.id, resolution, 1);
+  if (timestamps.length === 0) {
+    const error = new Error(`No frames available for ${radar.id} ${resolution}km`);
+    error.code = 550;
+    throw error;
+  }
+  
+  const { frames: [{ timestamp, image }], stale } = await getLatestDecodedFrames(radar.id, resolution, timestamps);
+  const levels = reflectivity.frameToLevels(image);
+  const { bounds } = computeRadarBounds(radar.lon, radar.lat, resolution);
+  
+  const cx = Math.floor((lon - bounds.west) / (bounds.east - bounds.west) * image.width);
+  const cy = Math.floor((bounds.north - lat) / (bounds.north - bounds.south) * image.height);
+  const pixelKm = resolution * 2 / image.width;
+  const radiusPx = Math.ceil(radiusKm / pixelKm);
+  
+  let maxLevel = 0;
+  let total = 0;
+  let wet = 0;
+  let count = 0;
+  
+  for (let y = cy - radiusPx; y <= cy + radiusPx; y++) {
+    for (let x = cx - radiusPx; x <= cx + radiusPx; x++) {
+      if (x < 0 || y < 0 || x >= image.width || y >= image.height) continue;
+      if ((x - cx) * (x - cx) + (y - cy) * (y - cy) > radiusPx * radiusPx) continue;
+      
+      const level = levels[y * image.width + x];
+      maxLevel = Math.max(maxLevel, level);
+      total += reflectivity.levelToRainRate(level);
+      if (level > 0) wet++;
+      count++;
+    }
+  }
+  
+  const center = reflectivity.describeLevel(levels[cy * image.width + cx]);
+  const imageAge = Math.floor((Date.now() - parseTimestamp(timestamp).getTime()) / 1000);
+  
+  return {
+    lat,
+    lon,
+    radar: { id: radar.id, name: radar.name, distance: radar.distance },
+    resolution,
+    timestamp,
+    imageAge,
+    stale,
+    raining: center.level > 0,
+    ...center,
+    radius: radiusKm > 0 ? {
+      km: radiusKm,
+      max: reflectivity.describeLevel(maxLevel),
+      meanRainRate: Math.round(total / count * 100) / 100,
+      coverage: Math.round(wet / count * 1000) / 1000
+    } : null
+  };
+}
+
+/**
+ * Estimate whether and when rain reaches a location
+ * Motion comes from block matching the last few frames of the closest radar;
+ * the newest frame is then moved along it until rain covers the location
+ */
+async function getNowcast(lat, lon) {
+  const radarData = await loadRadarData();
+  const radar = findClosestRadar(lat, lon, radarData);
+  const maxRange = Math.max(...SUPPORTED_RESOLUTIONS);
+  
+  if (!radar || radar.distance > maxRange) {
+    const error = new Error(`Location is outside radar coverage${radar ? ` (${radar.distance}km from ${radar.name})` : ''}`);
+    error.code = 'NOT_COVERED';
+    throw error;
+  }
+  
+  const resolution = SUPPORTED_RESOLUTIONS.find(r => r >= radar.distance + NOWCAST_LOOKAHEAD_KM) || maxRange;
+  const { timestamps } = await listAvailableTimestamps(radar.id, resolution, NOWCAST_FRAMES);
+  if (timestamps.length < 2) {
+    const error = new Error(`Not enough frames for a nowcast from ${radar.id} ${resolution}km`);
+    error.code = 550;
+    throw error;
+  }
+  
+  const latest = timestamps[0];
+  const cacheKey = `nowcast_${lat.toFixed(3)}_${lon.toFixed(3)}_${radar.id}_${resolution}_${latest}`;
+  const cached = nowcastCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+  
+  return singleFlight(cacheKey, async () => {
+    const decoded = await getLatestDecodedFrames(radar.id, resolution, timestamps);
+    if (decoded.frames.length < 2) {
+      const error = new Error(`Not enough cached frames for a nowcast from ${radar.id} ${resolution}km while BoM is unreachable`);
+      error.code = 'UPSTREAM_UNAVAILABLE';
+      throw error;
+    }
+    
+    const ordered = decoded.frames.map(frame => frame.timestamp).reverse();
+    const latestTime = parseTimestamp(ordered[ordered.length - 1]).getTime();
+    const frames = decoded.frames.slice().reverse().map(({ timestamp, image }) => ({
+      timestamp,
+      width: image.width,
+      height: image.height,
+      levels: reflectivity.frameToLevels(image),
+      minutes: (parseTimestamp(timestamp).getTime() - latestTime) / 60000
+    }));
+    
+    const { width, height, levels } = frames[frames.length - 1];
+    const { bounds } = computeRadarBounds(radar.lon, radar.lat, resolution);
+    const cx = Math.floor((lon - bounds.west) / (bounds.east - bounds.west) * width);
+    const cy = Math.floor((bounds.north - lat) / (bounds.north - bounds.south) * height);
+    const pixelKm = resolution * 2 / width;
+    
+    const maxGap = Math.max(...frames.slice(1).map((frame, i) => frame.minutes - frames[i].minutes));
+    const search = Math.ceil(NOWCAST_MAX_SPEED_KMH / 60 * maxGap / pixelKm);
+    const window = Math.round(NOWCAST_WINDOW_KM / pixelKm);
+    const motion = nowcast.estimateMotion(frames, width, height, cx, cy, window, search);
+    
+    const frameAge = (Date.now() - latestTime) / 60000;
+    const currentLevel = nowcast.maxLevelNear(levels, width, height, cx, cy, 0);
+    
+    let arrival = null;
+    let confidence;
+    
+    if (currentLevel > 0) {
+      arrival = { minutes: 0, level: currentLevel };
+      confidence = 0.95;
+    } else if (!motion) {
+      // No rain anywhere near, nothing to arrive
+      confidence = 0.9;
+    } else {
+      arrival = nowcast.predictArrival(levels, width, height, cx, cy, motion, NOWCAST_HORIZON, 2, Math.ceil(1 / pixelKm));
+      const quality = (motion.consistency + Math.min(1, motion.gain * 2)) / 2;
+      // Further out predictions are less certain
+      confidence = arrival ? quality * Math.exp(-arrival.minutes / 90) : quality * 0.8 + 0.1;
+    }
+    
+    confidence = Math.round(confidence * 100) / 100;
+    const etaFromFrame = arrival ? arrival.minutes : null;
+    
+    const result = {
+      lat,
+      lon,
+      radar: { id: radar.id, name: radar.name, distance: radar.distance },
+      resolution,
+      timestamps: ordered,
+      frameAge: Math.floor(frameAge),
+      stale: decoded.stale,
+      rainingNow: currentLevel > 0,
+      current: reflectivity.describeLevel(currentLevel),
+      motion: motion ? {
+        speedKmh: Math.round(Math.hypot(motion.vx, motion.vy) * pixelKm * 60),
+        bearing: Math.round((Math.atan2(motion.vx, -motion.vy) * 180 / Math.PI + 360) % 360),
+        framePairs: motion.pairs
+      } : null,
+      prediction: {
+        willRain: arrival !== null,
+        etaMinutes: arrival ? Math.max(0, Math.round(etaFromFrame - frameAge)) : null,
+        arrivalTime: arrival ? new Date(latestTime + etaFromFrame * 60000).toISOString() : null,
+        expectedIntensity: arrival ? reflectivity.describeLevel(arrival.level) : null,
+        confidence,
+        horizonMinutes: NOWCAST_HORIZON
+      }
+    };
+    
+    // Worked out from older cached frames, so not kept for the listed frames
+    if (!decoded.stale) {
+      nowcastCache.set(cacheKey, result);
+    }
+    logger.info(`Nowcast for ${lat},${lon}: ${arrival ? `rain in ${etaFromFrame}min` : 'no rain'} (confidence ${confidence})`);
+    
+    return result;
+  });
+}
+
+/**
+ * Find closest radar to given coordinates
+ */
+function findClosestRadar(lat, lon, radarData) {
+  let closestRadar = null;
+  let minDistance = Infinity;
+  
+  for (const feature of radarData.features) {
+    // Composite mosaics have a nominal centre only
+    if (isCompositeId(feature.properties.id)) continue;
+    
+    const radarLat = feature.geometry.coordinates[1];
+    const radarLon = feature.geometry.coordinates[0];
+    
+    const R = 6371;
+    const dLat = (radarLat - lat) * Math.PI / 180;
+    const dLon = (radarLon - lon) * Math.PI / 180;
+    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+              Math.cos(lat * Math.PI / 180) * Math.cos(radarLat * Math.PI / 180) *
+              Math.sin(dLon/2) * Math.sin(dLon/2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    const distance = R * c;
+    
+    if (distance < minDistance) {
+      minDistance = distance;
+      closestRadar = {
+        id: feature.properties.id,
+        name: feature.properties.name,
+        state: feature.properties.state,
+        distance: Math.round(distance * 10) / 10,
+        lat: radarLat,
+        lon: radarLon
+      };
+    }
+  }
+  
+  return closestRadar;
+}
+
+/**
+ * Parse configured cache quotas ("IDR02=200" or "IDR02:128=100", in MB)
+ */
+function parseCacheQuotas(entries) {
+  const quotas = [];
+  
+  for (const entry of entries) {
+    const match = entry.match(/^(IDR\d{2,5})(?::(\d+))?=(\d+)$/);
+    const resolution = match && match[2] ? parseInt(match[2]) : null;
+    
+    if (!match || !isValidRadarId(match[1]) ||
+        (resolution !== null && !supportedResolutionsFor(match[1]).includes(resolution))) {
+      logger.warn(`Ignoring invalid cache quota: ${entry} (expected e.g. IDR02=200 or IDR02:128=100)`);
+      continue;
+    }
+    
+    quotas.push({
+      name: entry.split('=')[0],
+      radarId: match[1],
+      resolution,
+      maxBytes: parseInt(match[3]) * 1024 * 1024
+    });
+  }
+  
+  return quotas;
+}
+
+const CACHE_QUOTA_RULES = parseCacheQuotas(CACHE_QUOTAS);
+
+function matchesQuota(quota, entry) {
+  return entry.radarId === quota.radarId && (quota.resolution === null || entry.resolution === quota.resolution);
+}
+
+/**
+ * Unpinned entries in eviction order: historical frames before current
+ * ones, least recently accessed first within each group
+ */
+function evictionCandidates(entries) {
+  const now = Date.now();
+  const isCurrent = entry => entry.timestamp !== null &&
+    (now - parseTimestamp(entry.timestamp).getTime()) / 1000 < CURRENT_IMAGE_THRESHOLD;
+  
+  return entries
+    .filter(entry => !cachePins.isPinned(entry))
+    .map(entry => ({ entry, current: isCurrent(entry) }))
+    .sort((a, b) => (a.current - b.current) || (a.entry.lastAccess - b.entry.lastAccess))
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Check cache size and quotas, evicting the least recently used files
+ */
+async function checkCacheSize() {
+  try {
+    await cacheIndex.load();
+    let deleted = 0;
+    let freedSpace = 0;
+    
+    // Per-radar quotas first, so one busy radar can't crowd out the others
+    for (const quota of CACHE_QUOTA_RULES) {
+      const entries = cacheIndex.values().filter(entry => matchesQuota(quota, entry));
+      let used = entries.reduce((sum, entry) => sum + entry.size, 0);
+      if (used <= quota.maxBytes) continue;
       
-      // Sort by modification time, oldest first
-      fileStats.sort((a, b) => a.mtime - b.mtime);
+      logger.warn(`Cache quota for ${quota.name} exceeded (${Math.round(used / 1024 / 1024)}MB of ${quota.maxBytes / 1024 / 1024}MB), cleaning up...`);
+      
+      for (const entry of evictionCandidates(entries)) {
+        if (used <= quota.maxBytes) break;
+        
+        await cacheIndex.remove(entry.key);
+        used -= entry.size;
+        freedSpace += entry.size;
+        deleted++;
+      }
+    }
+    
+    const totalSize = cacheIndex.totalSize;
+    const totalSizeMB = totalSize / 1024 / 1024;
+    
+    if (totalSizeMB > MAX_CACHE_SIZE_MB) {
+      logger.warn(`Cache size ${Math.round(totalSizeMB)}MB exceeds limit ${MAX_CACHE_SIZE_MB}MB, cleaning up...`);
       
-      let freedSpace = 0;
-      let deleted = 0;
+      let removed = 0;
       const targetSize = MAX_CACHE_SIZE_MB * 0.8 * 1024 * 1024; // Clean to 80% of limit
       
-      for (const file of fileStats) {
-        if (totalSize - freedSpace <= targetSize) break;
+      for (const entry of evictionCandidates(cacheIndex.values())) {
+        if (totalSize - removed <= targetSize) break;
         
-        await fs.unlink(file.path);
-        freedSpace += file.size;
+        await cacheIndex.remove(entry.key);
+        removed += entry.size;
         deleted++;
       }
       
-      logger.info(`Cleaned up ${deleted} old files, freed ${Math.round(freedSpace / 1024 / 1024)}MB`);
+      freedSpace += removed;
+      
+      if (totalSize - removed > targetSize) {
+        logger.warn(`Cache still ${Math.round((totalSize - removed) / 1024 / 1024)}MB after eviction, the rest is pinned`);
+      }
+    }
+    
+    if (deleted > 0) {
+      logger.info(`Cleaned up ${deleted} least recently used files, freed ${Math.round(freedSpace / 1024 / 1024)}MB`);
     }
   } catch (error) {
     logger.error('Error checking cache size:', error);
@@ -558,21 +2002,17 @@ async function checkCacheSize() {
  */
 async function cleanupCache() {
   try {
-    const files = await fs.readdir(CACHE_DIR);
+    await cacheIndex.load();
     const now = Date.now();
     let deleted = 0;
     let freedSpace = 0;
     
-    for (const file of files) {
-      if (!file.endsWith('.png')) continue;
-      
-      const filePath = path.join(CACHE_DIR, file);
-      const stats = await fs.stat(filePath);
-      const age = (now - stats.mtimeMs) / 1000;
+    for (const entry of cacheIndex.values()) {
+      const age = (now - entry.cachedAt) / 1000;
       
-      if (age > DISK_CACHE_TTL) {
-        freedSpace += stats.size;
-        await fs.unlink(filePath);
+      if (age > DISK_CACHE_TTL && !cachePins.isPinned(entry)) {
+        freedSpace += entry.size;
+        await cacheIndex.remove(entry.key);
         deleted++;
       }
     }
@@ -590,11 +2030,302 @@ async function cleanupCache() {
 /**
  * GET /api/radar/:radarId/:timestamp/:resolution
  */
-app.get('/api/radar/:radarId/:timestamp/:resolution', async (req, res) => {
+app.get('/api/radar/:radarId/:timestamp/:resolution', upstreamRateLimit, async (req, res) => {
+  try {
+    const { radarId, timestamp, resolution } = req.params;
+    
+    if (!isValidRadarId(radarId)) {
+      return res.status(400).json({ error: 'Invalid radar ID format' });
+    }
+    
+    if (!timestamp.match(/^\d{12}$/)) {
+      return res.status(400).json({ error: 'Invalid timestamp format' });
+    }
+    
+    const resNum = parseInt(resolution);
+    if (!supportedResolutionsFor(radarId).includes(resNum)) {
+      return res.status(400).json({ 
+        error: `Invalid resolution. Supported: ${supportedResolutionsFor(radarId).join(', ')}km` 
+      });
+    }
+    
+    const { transform, error: transformError } = transforms.parseTransform(req.query, req.get('accept'), RADAR_IMAGE_SIZE);
+    if (transformError) {
+      return res.status(400).json({ error: transformError });
+    }
+    
+    prefetcher.touch(radarId, resNum);
+    const result = transform
+      ? await getRadarVariant(radarId, timestamp, resNum, transform)
+      : await getRadarImage(radarId, timestamp, resNum);
+    
+    res.set({
+      'Content-Type': transform ? transforms.FORMATS[transform.format] : 'image/png',
+      // A frame's image never changes once BoM has published it
+      'Cache-Control': result.imageAge >= CURRENT_IMAGE_THRESHOLD
+        ? `public, max-age=${HISTORICAL_MAX_AGE}, immutable`
+        : 'public, max-age=600',
+      'X-From-Cache': result.fromCache.toString(),
+      'X-Cache-Age': result.cacheAge.toString(),
+      'X-Image-Age': result.imageAge.toString(),
+      'X-Resolution': result.resolution.toString(),
+      'X-Stale': Boolean(result.stale).toString()
+    });
+    
+    if (transform && transform.negotiated) {
+      res.vary('Accept');
+    }
+    
+    if (sendNotModified(req, res, contentEtag(result.buffer), parseTimestamp(timestamp))) return;
+    
+    res.send(result.buffer);
+  } catch (error) {
+    logger.error('Error serving radar image:', error);
+    
+    if (error.code === 550) {
+      res.status(404).json({ error: 'Radar image not found' });
+    } else if (isUpstreamError(error)) {
+      res.set('Retry-After', upstreamRetryAfter(error).toString());
+      res.status(503).json({ error: 'BoM server unreachable and image not cached', details: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to retrieve radar image', details: error.message });
+    }
+  }
+});
+
+app.get('/api/timestamps/:radarId/:resolution', upstreamRateLimit, async (req, res) => {
+  try {
+    const { radarId, resolution } = req.params;
+    const force = req.query.force === 'true';
+    const withTimes = req.query.times === 'true';
+    const ranged = Boolean(req.query.from || req.query.to || req.query.step);
+    // Range queries return everything in range unless a limit is given
+    const limit = parseInt(req.query.limit) || (ranged ? Infinity : 20);
+    
+    if (!isValidRadarId(radarId)) {
+      return res.status(400).json({ error: 'Invalid radar ID format' });
+    }
+    
+    const resNum = parseInt(resolution);
+    if (!supportedResolutionsFor(radarId).includes(resNum)) {
+      return res.status(400).json({ 
+        error: `Invalid resolution. Supported: ${supportedResolutionsFor(radarId).join(', ')}km` 
+      });
+    }
+    
+    if (req.query.tz && !isValidTimeZone(req.query.tz)) {
+      return res.status(400).json({ error: `Unknown timezone: ${req.query.tz}` });
+    }
+    
+    const from = req.query.from ? parseTimeParam(req.query.from) : null;
+    const to = req.query.to ? parseTimeParam(req.query.to) : null;
+    const step = req.query.step ? parseInt(req.query.step) : null;
+    
+    if ((req.query.from && !from) || (req.query.to && !to)) {
+      return res.status(400).json({ error: 'Invalid from/to. Use yyyyMMddHHmm or ISO 8601' });
+    }
+    
+    if (req.query.step && !(step >= 1 && step <= 1440)) {
+      return res.status(400).json({ error: 'Invalid step. Must be 1-1440 minutes' });
+    }
+    
+    prefetcher.touch(radarId, resNum);
+    const result = ranged
+      ? await listTimestampRange(radarId, resNum, { from, to, step, limit, force })
+      : await listAvailableTimestamps(radarId, resNum, limit, force);
+    
+    let timeZone = null;
+    if (withTimes) {
+      const info = await getRadarInfo(radarId);
+      timeZone = req.query.tz || (info && STATE_TIMEZONES[info.state]) || null;
+    }
+    
+    res.set({
+      // Stale lists are re-checked as soon as BoM might be back
+      'Cache-Control': result.stale ? 'no-cache' : 'public, max-age=600',
+      'X-From-Cache': result.fromCache.toString(),
+      'X-Stale': Boolean(result.stale).toString()
+    });
+    
+    const listing = {
+      radarId,
+      resolution: resNum,
+      timestamps: result.timestamps,
+      ...(ranged && {
+        from,
+        to,
+        step,
+        archived: result.archived
+      }),
+      ...(withTimes && {
+        timeZone,
+        times: describeTimestamps(result.timestamps, timeZone)
+      }),
+      count: result.timestamps.length
+    };
+    
+    // Unchanged until the list (or whether it's stale) changes
+    const etag = contentEtag(JSON.stringify([listing, Boolean(result.stale)]), true);
+    if (sendNotModified(req, res, etag)) return;
+    
+    res.json({
+      ...listing,
+      fromCache: result.fromCache,
+      nextRefreshIn: result.nextRefreshIn,
+      rateLimited: result.rateLimited || false,
+      stale: result.stale || false
+    });
+  } catch (error) {
+    logger.error(`Error listing timestamps for ${req.params.radarId}:`, error.message);
+    
+    if (error.message.includes('Rate limit')) {
+      res.status(429).json({ 
+        error: error.message,
+        retryAfter: getTimeUntilNextRefresh(req.params.radarId, parseInt(req.params.resolution))
+      });
+    } else if (isUpstreamError(error)) {
+      // Nothing cached to fall back on
+      res.set('Retry-After', upstreamRetryAfter(error).toString());
+      res.status(503).json({
+        error: 'BoM server unreachable and no cached frames',
+        details: error.message,
+        retryAfter: upstream.retryAfter()
+      });
+    } else {
+      res.status(500).json({ 
+        error: 'Failed to list timestamps', 
+        details: error.message 
+      });
+    }
+  }
+});
+
+/**
+ * GET /api/loop/:radarId/:resolution
+ * Animated APNG/GIF of the latest frames
+ */
+app.get('/api/loop/:radarId/:resolution', upstreamRateLimit, async (req, res) => {
+  try {
+    const { radarId, resolution } = req.params;
+    const frameCount = req.query.frames === undefined ? 10 : Number(req.query.frames);
+    const delay = parseInt(req.query.delay) || 500;
+    
+    if (!isValidRadarId(radarId)) {
+      return res.status(400).json({ error: 'Invalid radar ID format' });
+    }
+    
+    const resNum = parseInt(resolution);
+    if (!supportedResolutionsFor(radarId).includes(resNum)) {
+      return res.status(400).json({ 
+        error: `Invalid resolution. Supported: ${supportedResolutionsFor(radarId).join(', ')}km` 
+      });
+    }
+    
+    if (!Number.isInteger(frameCount) || frameCount < 1 || frameCount > LOOP_MAX_FRAMES) {
+      return res.status(400).json({ error: `Invalid frames. Supported: 1-${LOOP_MAX_FRAMES}` });
+    }
+    
+    if (delay < 50 || delay > 5000) {
+      return res.status(400).json({ error: 'Invalid delay. Supported: 50-5000ms' });
+    }
+    
+    // Explicit format wins, otherwise prefer GIF only if the client doesn't take PNG
+    let format = req.query.format;
+    if (!format) {
+      format = req.accepts(['image/apng', 'image/png', 'image/gif']) === 'image/gif' ? 'gif' : 'apng';
+    }
+    if (!['apng', 'gif'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Supported: apng, gif' });
+    }
+    
+    prefetcher.touch(radarId, resNum);
+    const result = await getRadarLoop(radarId, resNum, frameCount, format, delay);
+    
+    res.set({
+      'Content-Type': format === 'gif' ? 'image/gif' : 'image/png',
+      'Cache-Control': 'public, max-age=300',
+      'X-From-Cache': result.fromCache.toString(),
+      'X-Frame-Count': result.timestamps.length.toString(),
+      'X-Latest-Timestamp': result.latest,
+      'X-Stale': result.stale.toString()
+    });
+    
+    res.send(result.buffer);
+  } catch (error) {
+    logger.error(`Error building loop for ${req.params.radarId}:`, error.message);
+    
+    if (error.message.includes('Rate limit')) {
+      res.status(429).json({ 
+        error: error.message,
+        retryAfter: getTimeUntilNextRefresh(req.params.radarId, parseInt(req.params.resolution))
+      });
+    } else if (error.code === 550) {
+      res.status(404).json({ error: 'Radar frames not found' });
+    } else if (isUpstreamError(error)) {
+      res.set('Retry-After', upstreamRetryAfter(error).toString());
+      res.status(503).json({ error: 'BoM server unreachable and no cached frames', details: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to build radar loop', details: error.message });
+    }
+  }
+});
+
+/**
+ * GET /api/layers/:radarId/:resolution/:layer
+ * Static transparency layers (background, topography, locations, range rings...)
+ */
+app.get('/api/layers/:radarId/:resolution/:layer', upstreamRateLimit, async (req, res) => {
+  try {
+    const { radarId, resolution, layer } = req.params;
+    
+    if (!isValidRadarId(radarId)) {
+      return res.status(400).json({ error: 'Invalid radar ID format' });
+    }
+    
+    const resNum = parseInt(resolution);
+    if (!supportedResolutionsFor(radarId).includes(resNum)) {
+      return res.status(400).json({ 
+        error: `Invalid resolution. Supported: ${supportedResolutionsFor(radarId).join(', ')}km` 
+      });
+    }
+    
+    if (!SUPPORTED_LAYERS.includes(layer)) {
+      return res.status(400).json({ 
+        error: `Invalid layer. Supported: ${SUPPORTED_LAYERS.join(', ')}` 
+      });
+    }
+    
+    const result = await getRadarLayer(radarId, resNum, layer);
+    
+    res.set({
+      'Content-Type': 'image/png',
+      'Cache-Control': 'public, max-age=604800',
+      'X-From-Cache': result.fromCache.toString(),
+      'X-Cache-Age': result.cacheAge.toString()
+    });
+    
+    res.send(result.buffer);
+  } catch (error) {
+    logger.error('Error serving radar layer:', error);
+    
+    if (error.code === 550) {
+      res.status(404).json({ error: 'Radar layer not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to retrieve radar layer', details: error.message });
+    }
+  }
+});
+
+/**
+ * GET /api/composite/:radarId/:timestamp/:resolution
+ * Radar frame flattened onto its transparency layers, for plain image consumers
+ */
+app.get('/api/composite/:radarId/:timestamp/:resolution', upstreamRateLimit, async (req, res) => {
   try {
     const { radarId, timestamp, resolution } = req.params;
+    const caption = req.query.caption || 'none';
     
-    if (!radarId.match(/^IDR\d{2,3}$/)) {
+    if (!isValidRadarId(radarId)) {
       return res.status(400).json({ error: 'Invalid radar ID format' });
     }
     
@@ -602,111 +2333,311 @@ app.get('/api/radar/:radarId/:timestamp/:resolution', async (req, res) => {
       return res.status(400).json({ error: 'Invalid timestamp format' });
     }
     
-    const resNum = parseInt(resolution);
-    if (!SUPPORTED_RESOLUTIONS.includes(resNum)) {
-      return res.status(400).json({ 
-        error: `Invalid resolution. Supported: ${SUPPORTED_RESOLUTIONS.join(', ')}km` 
-      });
+    const resNum = parseInt(resolution);
+    if (!supportedResolutionsFor(radarId).includes(resNum)) {
+      return res.status(400).json({ 
+        error: `Invalid resolution. Supported: ${supportedResolutionsFor(radarId).join(', ')}km` 
+      });
+    }
+    
+    const requested = (req.query.layers || 'background,topography,locations')
+      .split(',')
+      .map(layer => layer.trim())
+      .filter(Boolean);
+    const invalid = requested.filter(layer => !SUPPORTED_LAYERS.includes(layer));
+    if (invalid.length > 0) {
+      return res.status(400).json({ 
+        error: `Invalid layer: ${invalid.join(', ')}. Supported: ${SUPPORTED_LAYERS.join(', ')}` 
+      });
+    }
+    
+    if (!['none', 'utc', 'local'].includes(caption)) {
+      return res.status(400).json({ error: 'Invalid caption. Supported: none, utc, local' });
+    }
+    
+    // Canonical order so equivalent layer sets share a cache entry
+    const layers = SUPPORTED_LAYERS.filter(layer => requested.includes(layer));
+    
+    prefetcher.touch(radarId, resNum);
+    const result = await getCompositeImage(radarId, timestamp, resNum, layers, caption);
+    
+    res.set({
+      'Content-Type': 'image/png',
+      'Cache-Control': 'public, max-age=600',
+      'X-From-Cache': result.fromCache.toString(),
+      'X-Image-Age': result.imageAge.toString(),
+      'X-Resolution': result.resolution.toString()
+    });
+    
+    res.send(result.buffer);
+  } catch (error) {
+    logger.error('Error serving composite image:', error);
+    
+    if (error.code === 550) {
+      res.status(404).json({ error: 'Radar image not found' });
+    } else if (isUpstreamError(error)) {
+      res.set('Retry-After', upstreamRetryAfter(error).toString());
+      res.status(503).json({ error: 'BoM server unreachable and image not cached', details: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to build composite image', details: error.message });
+    }
+  }
+});
+
+/**
+ * GET /tiles/:timestamp/:z/:x/:y.png
+ * XYZ tiles mosaicking every radar with a frame near the timestamp
+ */
+app.get('/tiles/:timestamp/:z/:x/:y.png', upstreamRateLimit, async (req, res) => {
+  try {
+    const { timestamp } = req.params;
+    const z = parseInt(req.params.z);
+    const x = parseInt(req.params.x);
+    const y = parseInt(req.params.y);
+    
+    if (!timestamp.match(/^\d{12}$/)) {
+      return res.status(400).json({ error: 'Invalid timestamp format' });
+    }
+    
+    // Nothing can be cached from before the cache TTL or published in the future
+    const tileAge = (Date.now() - parseTimestamp(timestamp).getTime()) / 1000;
+    if (tileAge > DISK_CACHE_TTL || tileAge < -FRAME_MAX_AHEAD) {
+      return res.status(404).json({ error: 'No radar frames for this time' });
+    }
+    
+    if (isNaN(z) || z < TILE_MIN_ZOOM || z > TILE_MAX_ZOOM) {
+      return res.status(400).json({ error: `Invalid zoom. Supported: ${TILE_MIN_ZOOM}-${TILE_MAX_ZOOM}` });
     }
     
-    const result = await getRadarImage(radarId, timestamp, resNum);
+    const max = Math.pow(2, z);
+    if (isNaN(x) || isNaN(y) || x < 0 || y < 0 || x >= max || y >= max) {
+      return res.status(400).json({ error: 'Invalid tile coordinates' });
+    }
+    
+    const result = await getRadarTile(snapTileTimestamp(timestamp), z, x, y);
+    
+    let cacheControl = result.isCurrent ? `public, max-age=${TILE_CURRENT_TTL}` : 'public, max-age=86400';
+    if (result.stale) {
+      // Drawn without some radars' frames while BoM was unreachable
+      cacheControl = 'no-cache';
+    }
     
     res.set({
       'Content-Type': 'image/png',
-      'Cache-Control': 'public, max-age=600',
+      'Cache-Control': cacheControl,
       'X-From-Cache': result.fromCache.toString(),
-      'X-Cache-Age': result.cacheAge.toString(),
-      'X-Image-Age': result.imageAge.toString(),
-      'X-Resolution': result.resolution.toString(),
-      'ETag': `${radarId}-${timestamp}-${resolution}`
+      'X-Stale': Boolean(result.stale).toString()
     });
+    if (result.radars) {
+      res.set('X-Radars', result.radars.join(',') || 'none');
+    }
     
     res.send(result.buffer);
   } catch (error) {
-    logger.error('Error serving radar image:', error);
+    logger.error('Error serving tile:', error);
     
     if (error.code === 550) {
-      res.status(404).json({ error: 'Radar image not found' });
+      res.status(404).json({ error: 'Radar frames not found' });
+    } else if (isUpstreamError(error)) {
+      res.set('Retry-After', upstreamRetryAfter(error).toString());
+      res.status(503).json({ error: 'BoM server unreachable and frames not cached', details: error.message });
     } else {
-      res.status(500).json({ error: 'Failed to retrieve radar image', details: error.message });
+      res.status(500).json({ error: 'Failed to render tile', details: error.message });
     }
   }
 });
 
-app.get('/api/timestamps/:radarId/:resolution', async (req, res) => {
+/**
+ * GET /api/radar-bounds/:radarId/:resolution
+ */
+app.get('/api/radar-bounds/:radarId/:resolution', async (req, res) => {
   try {
     const { radarId, resolution } = req.params;
-    const limit = parseInt(req.query.limit) || 20;
-    const force = req.query.force === 'true';
     
-    if (!radarId.match(/^IDR\d{2,3}$/)) {
+    if (!isValidRadarId(radarId)) {
       return res.status(400).json({ error: 'Invalid radar ID format' });
     }
     
     const resNum = parseInt(resolution);
-    if (!SUPPORTED_RESOLUTIONS.includes(resNum)) {
+    if (!supportedResolutionsFor(radarId).includes(resNum)) {
       return res.status(400).json({ 
-        error: `Invalid resolution. Supported: ${SUPPORTED_RESOLUTIONS.join(', ')}km` 
+        error: `Invalid resolution. Supported: ${supportedResolutionsFor(radarId).join(', ')}km` 
       });
     }
     
-    const result = await listAvailableTimestamps(radarId, resNum, limit, force);
+    if (isCompositeId(radarId)) {
+      return res.status(400).json({ error: 'Bounds are only available for single radars' });
+    }
+    
+    const radarData = await loadRadarData();
+    const feature = radarData.features.find(f => f.properties.id === radarId);
+    if (!feature) {
+      return res.status(404).json({ error: 'Radar not found' });
+    }
+    
+    const [lon, lat] = feature.geometry.coordinates;
     
     res.set({
-      'Cache-Control': 'public, max-age=600',
-      'X-From-Cache': result.fromCache.toString()
+      'Cache-Control': 'public, max-age=86400',
     });
     
     res.json({
       radarId,
-      resolution: resNum,
-      timestamps: result.timestamps,
-      count: result.timestamps.length,
-      fromCache: result.fromCache,
-      nextRefreshIn: result.nextRefreshIn,
-      rateLimited: result.rateLimited || false
+      name: feature.properties.name,
+      ...computeRadarBounds(lon, lat, resNum)
     });
   } catch (error) {
-    logger.error(`Error listing timestamps for ${req.params.radarId}:`, error.message);
+    logger.error('Error computing radar bounds:', error);
+    res.status(500).json({ error: 'Failed to compute radar bounds' });
+  }
+});
+
+/**
+ * GET /api/rain/:lat/:lon
+ * Rain intensity at a location from the latest frame, optional ?radius= in km
+ */
+app.get('/api/rain/:lat/:lon', upstreamRateLimit, async (req, res) => {
+  try {
+    const latitude = parseFloat(req.params.lat);
+    const longitude = parseFloat(req.params.lon);
+    const radius = req.query.radius !== undefined ? parseFloat(req.query.radius) : 0;
     
-    if (error.message.includes('Rate limit')) {
-      res.status(429).json({ 
-        error: error.message,
-        retryAfter: getTimeUntilNextRefresh(req.params.radarId)
-      });
-    } else if (error.message.includes('timeout')) {
-      // Return empty array on timeout instead of failing
-      res.json({
-        radarId: req.params.radarId,
-        resolution: parseInt(req.params.resolution),
-        timestamps: [],
-        count: 0,
-        fromCache: false,
-        error: 'Timeout fetching timestamps'
-      });
+    if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return res.status(400).json({ error: 'Invalid coordinates' });
+    }
+    
+    if (isNaN(radius) || radius < 0 || radius > RAIN_MAX_RADIUS) {
+      return res.status(400).json({ error: `Invalid radius. Supported: 0-${RAIN_MAX_RADIUS}km` });
+    }
+    
+    const result = await getRainAtLocation(latitude, longitude, radius);
+    
+    res.set({
+      'Cache-Control': 'public, max-age=60'
+    });
+    
+    res.json(result);
+  } catch (error) {
+    logger.error('Error sampling rain at location:', error.message);
+    
+    if (error.code === 'NOT_COVERED') {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Rate limit')) {
+      res.status(429).json({ error: error.message });
+    } else if (error.code === 550) {
+      res.status(404).json({ error: 'Radar image not found' });
+    } else if (isUpstreamError(error)) {
+      res.set('Retry-After', upstreamRetryAfter(error).toString());
+      res.status(503).json({ error: 'BoM server unreachable and frames not cached', details: error.message });
     } else {
-      res.status(500).json({ 
-        error: 'Failed to list timestamps', 
-        details: error.message 
-      });
+      res.status(500).json({ error: 'Failed to sample rain', details: error.message });
+    }
+  }
+});
+
+/**
+ * GET /api/nowcast?lat=&lon=
+ * Whether rain is approaching a location, with ETA and expected intensity
+ */
+app.get('/api/nowcast', upstreamRateLimit, async (req, res) => {
+  try {
+    const { lat, lon } = req.query;
+    
+    if (!lat || !lon) {
+      return res.status(400).json({ error: 'Missing lat or lon parameters' });
+    }
+    
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lon);
+    
+    if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return res.status(400).json({ error: 'Invalid coordinates' });
+    }
+    
+    const result = await getNowcast(latitude, longitude);
+    
+    res.set({
+      'Cache-Control': 'public, max-age=60'
+    });
+    
+    res.json(result);
+  } catch (error) {
+    logger.error('Error computing nowcast:', error.message);
+    
+    if (error.code === 'NOT_COVERED') {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Rate limit')) {
+      res.status(429).json({ error: error.message });
+    } else if (error.code === 550) {
+      res.status(404).json({ error: error.message });
+    } else if (isUpstreamError(error)) {
+      res.set('Retry-After', upstreamRetryAfter(error).toString());
+      res.status(503).json({ error: 'BoM server unreachable and frames not cached', details: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to compute nowcast', details: error.message });
     }
   }
 });
 
+/**
+ * GET /api/events?radars=IDR02:128,IDR66:256
+ * Server-Sent Events stream announcing new frames for the subscribed radars
+ * (WebSocket clients connect to /api/events/ws instead)
+ */
+app.get('/api/events', upstreamRateLimit, (req, res) => {
+  const { radars } = req.query;
+  
+  if (!radars) {
+    return res.status(400).json({ error: 'Missing radars parameter (e.g. radars=IDR02:128,IDR66:256)' });
+  }
+  
+  const { targets, invalid } = parseEventTargets(String(radars).split(','));
+  
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      error: `Invalid radars: ${invalid.join(', ')}`,
+      hint: 'Use RADAR_ID:RESOLUTION, e.g. IDR02:128'
+    });
+  }
+  
+  frameEvents.addSseClient(req, res, targets);
+});
+
 /**
  * GET /api/radars
+ * ?bounds=true adds per-resolution georeferencing to each feature
  */
 app.get('/api/radars', async (req, res) => {
   try {
-    const radarsPath = path.join(__dirname, 'radars.json');
-    const data = await fs.readFile(radarsPath, 'utf8');
-    const radars = JSON.parse(data);
+    let radars = await loadRadarData();
+    
+    if (req.query.bounds === 'true') {
+      radars = {
+        ...radars,
+        features: radars.features.map(feature => {
+          if (isCompositeId(feature.properties.id)) return feature;
+          
+          const [lon, lat] = feature.geometry.coordinates;
+          const bounds = {};
+          for (const resolution of SUPPORTED_RESOLUTIONS) {
+            bounds[resolution] = computeRadarBounds(lon, lat, resolution);
+          }
+          return {
+            ...feature,
+            properties: { ...feature.properties, bounds }
+          };
+        })
+      };
+    }
     
     res.set({
       'Cache-Control': 'public, max-age=86400',
     });
     
-    res.json(radars);
+    const body = JSON.stringify(radars);
+    if (sendNotModified(req, res, contentEtag(body))) return;
+    
+    res.type('json').send(body);
   } catch (error) {
     logger.error('Error reading radars:', error);
     res.status(500).json({ error: 'Failed to load radar data' });
@@ -731,9 +2662,7 @@ app.get('/api/closest-radar', async (req, res) => {
       return res.status(400).json({ error: 'Invalid coordinates' });
     }
     
-    const radarsPath = path.join(__dirname, 'radars.json');
-    const data = await fs.readFile(radarsPath, 'utf8');
-    const radarsData = JSON.parse(data);
+    const radarsData = await loadRadarData();
     
     const closest = findClosestRadar(latitude, longitude, radarsData);
     
@@ -754,17 +2683,8 @@ app.get('/api/closest-radar', async (req, res) => {
  */
 app.get('/', async (req, res) => {
   try {
-    const files = await fs.readdir(CACHE_DIR);
-    let totalSize = 0;
-    let imageCount = 0;
-    
-    for (const file of files) {
-      if (file.endsWith('.png')) {
-        const stats = await fs.stat(path.join(CACHE_DIR, file));
-        totalSize += stats.size;
-        imageCount++;
-      }
-    }
+    await cacheIndex.load();
+    const { totalSize, imageCount } = cacheIndex.stats();
     
     const totalSizeMB = Math.round(totalSize / 1024 / 1024 * 100) / 100;
     const utilization = Math.round((totalSizeMB / MAX_CACHE_SIZE_MB) * 100);
@@ -956,6 +2876,22 @@ app.get('/', async (req, res) => {
                 <span class="method">GET</span>
                 <span class="endpoint">/api/closest-radar?lat={lat}&lon={lon}</span>
               </li>
+              <li class="api-item">
+                <span class="method">GET</span>
+                <span class="endpoint">/api/radar-bounds/{radarId}/{resolution}</span>
+              </li>
+              <li class="api-item">
+                <span class="method">GET</span>
+                <span class="endpoint">/api/rain/{lat}/{lon}?radius={km}</span>
+              </li>
+              <li class="api-item">
+                <span class="method">GET</span>
+                <span class="endpoint">/api/nowcast?lat={lat}&lon={lon}</span>
+              </li>
+              <li class="api-item">
+                <span class="method">GET</span>
+                <span class="endpoint">/api/events?radars={radarId}:{resolution}</span>
+              </li>
               <li class="api-item">
                 <span class="method">GET</span>
                 <span class="endpoint">/api/timestamps/{radarId}/{resolution}</span>
@@ -964,6 +2900,22 @@ app.get('/', async (req, res) => {
                 <span class="method">GET</span>
                 <span class="endpoint">/api/radar/{radarId}/{timestamp}/{resolution}</span>
               </li>
+              <li class="api-item">
+                <span class="method">GET</span>
+                <span class="endpoint">/api/loop/{radarId}/{resolution}?frames={n}&format={apng|gif}</span>
+              </li>
+              <li class="api-item">
+                <span class="method">GET</span>
+                <span class="endpoint">/api/layers/{radarId}/{resolution}/{layer}</span>
+              </li>
+              <li class="api-item">
+                <span class="method">GET</span>
+                <span class="endpoint">/api/composite/{radarId}/{timestamp}/{resolution}?layers={layers}&caption={utc|local}</span>
+              </li>
+              <li class="api-item">
+                <span class="method">GET</span>
+                <span class="endpoint">/tiles/{timestamp}/{z}/{x}/{y}.png</span>
+              </li>
               <li class="api-item">
                 <span class="method">GET</span>
                 <span class="endpoint">/api/cache/stats</span>
@@ -991,8 +2943,8 @@ app.get('/', async (req, res) => {
                 <div class="stat-value">${cacheTTLHrs}<span class="stat-unit">hrs</span></div>
               </div>
               <div class="stat">
-                <div class="stat-label">FTP Source</div>
-                <div class="stat-value" style="font-size: 12px;">ftp.bom.gov.au</div>
+                <div class="stat-label">Source</div>
+                <div class="stat-value" style="font-size: 12px;">${upstream.names().join('<br>')}</div>
               </div>
             </div>
           </div>
@@ -1020,7 +2972,9 @@ app.get('/', async (req, res) => {
  */
 app.get('/health', (req, res) => {
   res.json({
-    status: 'healthy',
+    // Still serving from cache while BoM is unreachable
+    status: upstream.isOpen() ? 'degraded' : 'healthy',
+    upstream: upstream.state,
     uptime: process.uptime(),
     timestamp: new Date().toISOString(),
     cacheDir: CACHE_DIR,
@@ -1028,35 +2982,315 @@ app.get('/health', (req, res) => {
       timestampRefreshInterval: TIMESTAMP_REFRESH_INTERVAL / 1000 + 's',
       currentImageRefreshInterval: CURRENT_IMAGE_REFRESH_INTERVAL / 1000 + 's',
       diskCacheTTL: DISK_CACHE_TTL / 3600 + 'h',
-      maxCacheSizeMB: MAX_CACHE_SIZE_MB
+      maxCacheSizeMB: MAX_CACHE_SIZE_MB,
+      ftpMaxConnections: FTP_MAX_CONNECTIONS,
+      upstreamSources: upstream.names(),
+      prefetchRadars: PREFETCH_RADARS,
+      prefetchRecent: PREFETCH_RECENT,
+      prefetchFrames: PREFETCH_FRAMES
     }
   });
 });
 
 /**
- * GET /api/cache/stats
+ * Pin with the cached files it currently protects
  */
-app.get('/api/cache/stats', async (req, res) => {
+function describePin(pin) {
+  const files = cacheIndex.values().filter(entry => CachePins.matches(pin, entry));
+  return {
+    ...pin,
+    cachedFiles: files.length,
+    cachedSizeMB: Math.round(files.reduce((sum, entry) => sum + entry.size, 0) / 1024 / 1024 * 100) / 100
+  };
+}
+
+/**
+ * GET /api/cache/pins
+ */
+app.get('/api/cache/pins', async (req, res) => {
+  await cacheIndex.load();
+  res.json({ pins: cachePins.list().map(describePin) });
+});
+
+/**
+ * POST /api/cache/pins
+ * Body: { radarId, resolution?, from, to, label? } with yyyyMMddHHmm timestamps
+ * Protects matching frames from eviction and TTL cleanup
+ */
+app.post('/api/cache/pins', async (req, res) => {
+  try {
+    const { radarId, resolution, from, to, label } = req.body || {};
+    const resNum = resolution === undefined || resolution === null ? null : parseInt(resolution);
+    
+    if (!isValidRadarId(radarId)) {
+      return res.status(400).json({ error: 'Invalid radar ID format' });
+    }
+    
+    if (resNum !== null && !supportedResolutionsFor(radarId).includes(resNum)) {
+      return res.status(400).json({ error: `Invalid resolution. Supported: ${supportedResolutionsFor(radarId).join(', ')}` });
+    }
+    
+    if (!/^\d{12}$/.test(from) || !/^\d{12}$/.test(to) || from > to) {
+      return res.status(400).json({ error: 'from and to must be yyyyMMddHHmm timestamps with from <= to' });
+    }
+    
+    const pin = await cachePins.add({ radarId, resolution: resNum, from, to, label: label ? String(label).slice(0, 100) : '' });
+    res.status(201).json(describePin(pin));
+  } catch (error) {
+    logger.error('Error adding cache pin:', error.message);
+    res.status(500).json({ error: 'Failed to add pin', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/cache/pins/:id
+ * Unpinned frames become eligible for eviction and TTL cleanup again
+ */
+app.delete('/api/cache/pins/:id', async (req, res) => {
+  try {
+    const pin = await cachePins.remove(req.params.id);
+    
+    if (!pin) {
+      return res.status(404).json({ error: 'Pin not found' });
+    }
+    
+    res.json(pin);
+  } catch (error) {
+    logger.error('Error removing cache pin:', error.message);
+    res.status(500).json({ error: 'Failed to remove pin', details: error.message });
+  }
+});
+
+/**
+ * Recording without its frame list, for listings
+ */
+function summarizeRecording(recording) {
+  const { frames, ...summary } = recording;
+  return {
+    ...summary,
+    frameCount: frames.length,
+    sizeMB: Math.round(frames.reduce((sum, frame) => sum + frame.size, 0) / 1024 / 1024 * 100) / 100
+  };
+}
+
+/**
+ * GET /api/recordings
+ */
+app.get('/api/recordings', (req, res) => {
+  res.json({ recordings: recordings.list().map(summarizeRecording) });
+});
+
+/**
+ * POST /api/recordings
+ * Body: { radarId, resolutions, duration, label? } with duration in minutes
+ * Archives every new frame until the duration is up or it is stopped
+ */
+app.post('/api/recordings', upstreamRateLimit, async (req, res) => {
+  try {
+    const { radarId, resolutions, duration, label } = req.body || {};
+    const resList = Array.isArray(resolutions) ? resolutions.map(value => parseInt(value)) : [parseInt(resolutions)];
+    const minutes = parseInt(duration);
+    
+    if (!isValidRadarId(radarId)) {
+      return res.status(400).json({ error: 'Invalid radar ID format' });
+    }
+    
+    if (resList.length === 0 || !resList.every(resolution => supportedResolutionsFor(radarId).includes(resolution))) {
+      return res.status(400).json({ error: `Invalid resolutions. Supported: ${supportedResolutionsFor(radarId).join(', ')}` });
+    }
+    
+    if (!(minutes >= 1 && minutes <= RECORDING_MAX_DURATION)) {
+      return res.status(400).json({ error: `Invalid duration. Must be 1-${RECORDING_MAX_DURATION} minutes` });
+    }
+    
+    if (recordings.active().length >= RECORDING_MAX_ACTIVE) {
+      return res.status(409).json({ error: `Already ${RECORDING_MAX_ACTIVE} recordings running, stop one first` });
+    }
+    
+    const recording = await recordings.start({
+      radarId,
+      resolutions: Array.from(new Set(resList)),
+      duration: minutes,
+      label: label ? String(label).slice(0, 100) : ''
+    });
+    res.status(201).json(summarizeRecording(recording));
+  } catch (error) {
+    logger.error('Error starting recording:', error.message);
+    res.status(500).json({ error: 'Failed to start recording', details: error.message });
+  }
+});
+
+/**
+ * GET /api/recordings/:id
+ */
+app.get('/api/recordings/:id', (req, res) => {
+  const recording = recordings.get(req.params.id);
+  
+  if (!recording) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+  
+  res.json({ ...summarizeRecording(recording), frames: recording.frames });
+});
+
+/**
+ * POST /api/recordings/:id/stop
+ * Stops capturing early; the archived frames are kept
+ */
+app.post('/api/recordings/:id/stop', async (req, res) => {
+  try {
+    const recording = await recordings.stop(req.params.id);
+    
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    
+    res.json(summarizeRecording(recording));
+  } catch (error) {
+    logger.error('Error stopping recording:', error.message);
+    res.status(500).json({ error: 'Failed to stop recording', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/recordings/:id
+ * Stops the recording if it is running and deletes its frames
+ */
+app.delete('/api/recordings/:id', async (req, res) => {
+  try {
+    const recording = await recordings.remove(req.params.id);
+    
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    
+    res.json(summarizeRecording(recording));
+  } catch (error) {
+    logger.error('Error deleting recording:', error.message);
+    res.status(500).json({ error: 'Failed to delete recording', details: error.message });
+  }
+});
+
+/**
+ * GET /api/recordings/:id/export
+ * ZIP of the archived frames plus manifest.json with their times and bounds
+ */
+app.get('/api/recordings/:id/export', async (req, res) => {
+  const recording = recordings.get(req.params.id);
+  
+  if (!recording) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+  
   try {
-    const files = await fs.readdir(CACHE_DIR);
-    let totalSize = 0;
-    let imageCount = 0;
-    
-    for (const file of files) {
-      if (file.endsWith('.png')) {
-        const stats = await fs.stat(path.join(CACHE_DIR, file));
-        totalSize += stats.size;
-        imageCount++;
+    const radarData = await loadRadarData();
+    const feature = radarData.features.find(f => f.properties.id === recording.radarId);
+    const frames = recording.frames.slice();
+    
+    const manifest = {
+      id: recording.id,
+      radarId: recording.radarId,
+      name: feature ? feature.properties.name : recording.radarId,
+      label: recording.label,
+      status: recording.status,
+      startedAt: recording.startedAt,
+      endsAt: recording.endsAt,
+      stoppedAt: recording.stoppedAt,
+      resolutions: recording.resolutions.map(resolution => ({
+        resolution,
+        // Composites aren't centred on a radar
+        bounds: feature && !isCompositeId(recording.radarId)
+          ? computeRadarBounds(feature.geometry.coordinates[0], feature.geometry.coordinates[1], resolution)
+          : null
+      })),
+      frames: frames.map(frame => ({
+        timestamp: frame.timestamp,
+        time: parseTimestamp(frame.timestamp).toISOString(),
+        resolution: frame.resolution,
+        file: `${frame.resolution}km/${frame.timestamp}.png`
+      }))
+    };
+    
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${recording.radarId}-${recording.id}.zip"`,
+      'Cache-Control': 'no-cache'
+    });
+    
+    // Stop reading frames as soon as the client goes away
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    
+    // Streamed, so failures after this point can only abort the download
+    const zip = new ZipWriter(res);
+    await zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+    
+    for (const frame of frames) {
+      if (closed) {
+        logger.info(`Export of recording ${recording.id} cancelled by client`);
+        return;
       }
+      const data = await recordings.readFrame(recording, frame);
+      await zip.addFile(`${frame.resolution}km/${frame.timestamp}.png`, data, parseTimestamp(frame.timestamp));
     }
     
+    await zip.finish();
+  } catch (error) {
+    if (error.code === 'OUTPUT_CLOSED') {
+      logger.info(`Export of recording ${req.params.id} cancelled by client`);
+      return;
+    }
+    
+    logger.error(`Error exporting recording ${req.params.id}:`, error.message);
+    
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Failed to export recording', details: error.message });
+    }
+  }
+});
+
+/**
+ * GET /api/cache/stats
+ */
+app.get('/api/cache/stats', async (req, res) => {
+  try {
+    await cacheIndex.load();
+    const { totalSize, imageCount } = cacheIndex.stats();
+    
     res.json({
       imageCount,
       totalSizeMB: Math.round(totalSize / 1024 / 1024 * 100) / 100,
       maxSizeMB: MAX_CACHE_SIZE_MB,
       utilization: Math.round((totalSize / 1024 / 1024 / MAX_CACHE_SIZE_MB) * 100) + '%',
-      activeRadars: lastTimestampRefresh.size,
-      memCacheKeys: metaCache.keys().length
+      pins: cachePins.list().length,
+      pinnedSizeMB: Math.round(cacheIndex.values()
+        .filter(entry => cachePins.isPinned(entry))
+        .reduce((sum, entry) => sum + entry.size, 0) / 1024 / 1024 * 100) / 100,
+      quotas: CACHE_QUOTA_RULES.map(quota => ({
+        name: quota.name,
+        usedMB: Math.round(cacheIndex.values()
+          .filter(entry => matchesQuota(quota, entry))
+          .reduce((sum, entry) => sum + entry.size, 0) / 1024 / 1024 * 100) / 100,
+        maxMB: quota.maxBytes / 1024 / 1024
+      })),
+      activeRadars: new Set(Array.from(lastTimestampRefresh.keys(), key => key.split('_')[0])).size,
+      memCacheKeys: metaCache.keys().length,
+      inFlight: inflight.size,
+      loopCacheKeys: loopCache.keys().length,
+      compositeCacheKeys: compositeCache.keys().length,
+      sources: upstream.status(),
+      prefetch: prefetcher.status(),
+      events: frameEvents.status(),
+      mqtt: mqttPublisher ? mqttPublisher.status() : null,
+      recordings: recordings.status(),
+      auth: authenticator.status(),
+      limits: {
+        clients: clientLimiter.status(),
+        upstream: upstreamLimiter.status(),
+        notFoundCached: notFoundCache.keys().length
+      }
     });
   } catch (error) {
     logger.error('Error getting cache stats:', error);
@@ -1070,18 +3304,30 @@ setInterval(cleanupCache, 3600000);
 // Check cache size every 10 minutes
 setInterval(checkCacheSize, 600000);
 
+// Keep watched radars warm
+prefetcher.start();
+
+if (mqttPublisher) {
+  mqttPublisher.start();
+} else if (MQTT_ENABLED) {
+  logger.warn('MQTT enabled but no broker configured, set mqtt_host or install the Mosquitto add-on');
+}
+
 // Start server
-app.listen(PORT, '0.0.0.0', async () => {
+const server = app.listen(PORT, '0.0.0.0', async () => {
   logger.info(`BoM Radar Proxy Add-on started on 0.0.0.0:${PORT}`);
   logger.info(`Server accessible via Home Assistant ingress`);
   logger.info(`Direct access (if applicable): http://0.0.0.0:${PORT}`);
   logger.info(`Port: ${PORT}`);
   logger.info(`Cache directory: ${CACHE_DIR}`);
-  logger.info(`FTP source: ${FTP_HOST}${FTP_PATH}`);
+  logger.info(`Upstream sources: ${upstream.names().join(', ')}`);
   logger.info(`Timestamp refresh interval: ${TIMESTAMP_REFRESH_INTERVAL / 1000}s`);
   logger.info(`Current image refresh interval: ${CURRENT_IMAGE_REFRESH_INTERVAL / 1000}s`);
   logger.info(`Cache TTL: ${DISK_CACHE_TTL / 3600}h`);
   logger.info(`Max cache size: ${MAX_CACHE_SIZE_MB}MB`);
+  logger.info(`Prefetch: ${PREFETCH_TARGETS.length} configured radars, recent tracking ${PREFETCH_RECENT ? 'on' : 'off'}, ${PREFETCH_FRAMES} frames`);
+  logger.info(`FTP pool: max ${FTP_MAX_CONNECTIONS} connections, idle timeout ${FTP_IDLE_TIMEOUT / 1000}s`);
+  logger.info(`MQTT: ${mqttPublisher ? `${MQTT_HOST}:${MQTT_PORT}, topic prefix ${MQTT_TOPIC_PREFIX}` : 'disabled'}`);
   
   // Add diagnostics
   try {
@@ -1094,22 +3340,32 @@ app.listen(PORT, '0.0.0.0', async () => {
     logger.error('Cache directory issue', { error: error.message });
   }
   
-  // Test FTP connection
-  try {
-    const testClient = await connectFTP();
-    testClient.end();
-    logger.info('FTP connection test: SUCCESS');
-  } catch (error) {
-    logger.error('FTP connection test: FAILED', { error: error.message });
-  }
+  // Test each source (also warms the FTP pool)
+  await upstream.check();
 });
+
+// WebSocket alternative to the SSE stream
+frameEvents.attachWebSocket(server, '/api/events/ws');
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  prefetcher.stop();
+  frameEvents.close();
+  if (mqttPublisher) mqttPublisher.stop();
+  cacheIndex.flush();
+  timestampStore.flush();
+  upstream.close();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  prefetcher.stop();
+  frameEvents.close();
+  if (mqttPublisher) mqttPublisher.stop();
+  cacheIndex.flush();
+  timestampStore.flush();
+  upstream.close();
   process.exit(0);
 });
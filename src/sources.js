@@ -0,0 +1,446 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { FtpPool, isConnectionError, timeoutError } = require('./ftp-pool');
+const { CircuitBreaker } = require('./circuit-breaker');
+
+/**
+ * Upstream sources for radar frames and layers
+ *
+ * Every source offers the same two calls:
+ * - list(product): names of the frame files a radar product (e.g. IDR663)
+ *   has, like IDR663.T.202410231430.png, in any order
+ * - fetch(filename): a frame or transparency layer (IDR663.background.png)
+ *
+ * A missing file is an error with code 550, as BoM's FTP server reports it,
+ * whatever the source. Sources that mirror BoM's FTP tree keep frames in
+ * `radar/` and layers in `radar_transparencies/` under their base.
+ */
+
+const MIRROR_LAYOUT = {
+  frames: 'radar',
+  layers: 'radar_transparencies',
+  // Directory listing with every product's frames
+  index: () => 'radar/'
+};
+
+// BoM's website: frames are listed on each product's loop page
+const BOM_WEB_LAYOUT = {
+  frames: 'radar',
+  layers: 'products/radar_transparencies',
+  index: product => `products/${product}.loop.shtml`
+};
+
+const LIST_TIMEOUT = 15000; // 15 seconds
+const FETCH_TIMEOUT = 30000; // 30 seconds - also the longest an FTP transfer may go without data
+
+function isFrameFile(filename) {
+  return /\.T\.\d{12}\.png$/.test(filename);
+}
+
+function notFound(filename) {
+  const error = new Error(`File not found: ${filename}`);
+  error.code = 550;
+  return error;
+}
+
+/**
+ * Whether an error means a source is down rather than answering
+ */
+function isSourceFailure(error) {
+  return error.code === 'EUPSTREAM' || isConnectionError(error);
+}
+
+/**
+ * BoM's anonymous FTP server, or anything laid out like /anon/gen on it
+ */
+class FtpSource {
+  constructor(options) {
+    this.type = 'ftp';
+    this.name = `ftp://${options.host}${options.port !== 21 ? `:${options.port}` : ''}${options.root}`;
+    this.root = options.root;
+    this.logger = options.logger;
+    this.pool = new FtpPool({
+      host: options.host,
+      port: options.port,
+      user: options.user,
+      password: options.password,
+      max: options.max,
+      idleTimeout: options.idleTimeout,
+      connTimeout: FETCH_TIMEOUT,
+      keepalive: 30000,
+      logger: options.logger
+    });
+  }
+
+  dir(filename) {
+    return path.posix.join(this.root, isFrameFile(filename) ? MIRROR_LAYOUT.frames : MIRROR_LAYOUT.layers);
+  }
+
+  async list(product) {
+    const dir = path.posix.join(this.root, MIRROR_LAYOUT.frames);
+    const list = await this.pool.run(client => new Promise((resolve, reject) => {
+      const listTimeout = setTimeout(() => {
+        // Session state is unknown after a stalled LIST, don't reuse it
+        client.broken = true;
+        // Not retried on another connection; the chain falls back instead
+        reject(timeoutError(`Timeout listing files for ${product}`));
+      }, LIST_TIMEOUT);
+
+      client.list(dir, (err, list) => {
+        clearTimeout(listTimeout);
+        if (err) return reject(err);
+        resolve(list);
+      });
+    }));
+
+    return list
+      .filter(item => item.type === '-' && item.name.startsWith(`${product}.T.`))
+      .map(item => item.name);
+  }
+
+  fetch(filename) {
+    const remotePath = path.posix.join(this.dir(filename), filename);
+    return this.pool.run(client => new Promise((resolve, reject) => {
+      const chunks = [];
+      let stream = null;
+      let stallTimer = null;
+      let timedOut = false;
+
+      // Without this a stalled RETR would hold the pooled connection forever
+      const armStallTimer = () => {
+        clearTimeout(stallTimer);
+        stallTimer = setTimeout(() => {
+          timedOut = true;
+          client.broken = true;
+          if (stream) stream.destroy();
+          reject(timeoutError(`Timeout downloading ${remotePath}`));
+        }, FETCH_TIMEOUT);
+      };
+      armStallTimer();
+
+      client.get(remotePath, (err, dataStream) => {
+        if (timedOut) {
+          if (dataStream) dataStream.destroy();
+          return;
+        }
+        if (err) {
+          clearTimeout(stallTimer);
+          return reject(err);
+        }
+
+        stream = dataStream;
+        stream.on('data', chunk => {
+          chunks.push(chunk);
+          armStallTimer();
+        });
+        stream.on('end', () => {
+          clearTimeout(stallTimer);
+          resolve(Buffer.concat(chunks));
+        });
+        stream.on('error', error => {
+          clearTimeout(stallTimer);
+          reject(error);
+        });
+      });
+    }));
+  }
+
+  /**
+   * Connect once, which also warms the pool
+   */
+  async check() {
+    const client = await this.pool.acquire();
+    this.pool.release(client);
+  }
+
+  status() {
+    return { pool: this.pool.stats() };
+  }
+
+  close() {
+    this.pool.close();
+  }
+}
+
+/**
+ * An HTTP(S) server: BoM's website (e.g. http://reg.bom.gov.au) or a LAN
+ * mirror of BoM's FTP tree with directory listings turned on
+ */
+class HttpSource {
+  constructor(options) {
+    const url = new URL(options.url);
+    this.type = 'http';
+    this.headers = { 'User-Agent': 'Mozilla/5.0 (compatible; bom-radar-proxy)' };
+
+    // fetch() refuses URLs with credentials, send them as a header instead
+    if (url.username) {
+      const credentials = `${decodeURIComponent(url.username)}:${decodeURIComponent(url.password)}`;
+      this.headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      url.username = '';
+      url.password = '';
+    }
+
+    this.base = url.href.endsWith('/') ? url.href : `${url.href}/`;
+    this.name = `${url.protocol}//${url.host}${url.pathname}`.replace(/\/$/, '');
+    this.layout = /(^|\.)bom\.gov\.au$/.test(url.hostname) ? BOM_WEB_LAYOUT : MIRROR_LAYOUT;
+    this.logger = options.logger;
+  }
+
+  async get(relativePath, timeout) {
+    let response;
+    try {
+      response = await fetch(new URL(relativePath, this.base), {
+        headers: this.headers,
+        signal: AbortSignal.timeout(timeout)
+      });
+    } catch (error) {
+      // A stalled server is down like one that times out at the socket; the
+      // abort's DOMException has a read-only numeric code, so wrap it
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        const stalled = new Error(`Timeout fetching ${relativePath} from ${this.name}`);
+        stalled.code = 'ETIMEDOUT';
+        throw stalled;
+      }
+      // Undici hides the socket error code in the cause
+      if (error.cause && error.cause.code) error.code = error.cause.code;
+      throw error;
+    }
+
+    if (response.status === 404) {
+      throw notFound(relativePath);
+    }
+
+    if (!response.ok) {
+      const error = new Error(`${this.name} returned HTTP ${response.status} for ${relativePath}`);
+      if (response.status >= 500) error.code = 'EUPSTREAM';
+      throw error;
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async list(product) {
+    const page = (await this.get(this.layout.index(product), LIST_TIMEOUT)).toString('utf8');
+    const pattern = new RegExp(`${product}\\.T\\.\\d{12}\\.png`, 'g');
+    return [...new Set(page.match(pattern) || [])];
+  }
+
+  fetch(filename) {
+    const dir = isFrameFile(filename) ? this.layout.frames : this.layout.layers;
+    return this.get(`${dir}/${filename}`, FETCH_TIMEOUT);
+  }
+
+  async check() {
+    const response = await fetch(this.base, {
+      method: 'HEAD',
+      headers: this.headers,
+      signal: AbortSignal.timeout(LIST_TIMEOUT)
+    });
+    if (response.status >= 500) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  status() {
+    return {};
+  }
+
+  close() {}
+}
+
+/**
+ * A local directory laid out like BoM's FTP tree, e.g. a synced copy on a
+ * share, or a fixed set of files for testing offline
+ */
+class DirectorySource {
+  constructor(options) {
+    this.type = 'directory';
+    this.name = options.dir;
+    this.dir = options.dir;
+    this.logger = options.logger;
+  }
+
+  async list(product) {
+    const names = await fs.readdir(path.join(this.dir, MIRROR_LAYOUT.frames));
+    return names.filter(name => name.startsWith(`${product}.T.`) && isFrameFile(name));
+  }
+
+  async fetch(filename) {
+    const dir = isFrameFile(filename) ? MIRROR_LAYOUT.frames : MIRROR_LAYOUT.layers;
+    try {
+      return await fs.readFile(path.join(this.dir, dir, filename));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw notFound(filename);
+      throw error;
+    }
+  }
+
+  async check() {
+    await fs.access(path.join(this.dir, MIRROR_LAYOUT.frames));
+  }
+
+  status() {
+    return {};
+  }
+
+  close() {}
+}
+
+/**
+ * Create a source from its add-on option: an ftp:// or http(s):// URL, or
+ * an absolute directory path
+ */
+function createSource(spec, options) {
+  if (spec.startsWith('/')) {
+    return new DirectorySource({ dir: spec, logger: options.logger });
+  }
+
+  const url = new URL(spec);
+  if (url.protocol === 'ftp:') {
+    return new FtpSource({
+      host: url.hostname,
+      port: parseInt(url.port) || 21,
+      user: url.username ? decodeURIComponent(url.username) : undefined,
+      password: url.password ? decodeURIComponent(url.password) : undefined,
+      root: decodeURIComponent(url.pathname) || '/',
+      max: options.ftpMaxConnections,
+      idleTimeout: options.ftpIdleTimeout,
+      logger: options.logger
+    });
+  }
+
+  if (url.protocol === 'http:' || url.protocol === 'https:') {
+    return new HttpSource({ url: spec, logger: options.logger });
+  }
+
+  throw new Error(`Unsupported upstream source: ${spec}`);
+}
+
+/**
+ * Sources tried in order, each behind its own circuit breaker
+ *
+ * A call goes to the first source and falls back to the next when one is
+ * down, can't answer or doesn't have the file. A file is reported missing
+ * (550) when every source that could be reached says so; when none could, the
+ * failure is thrown as UPSTREAM_UNAVAILABLE, with the seconds until a source
+ * will be tried again as `retryAfter`.
+ */
+class SourceChain {
+  constructor(options) {
+    this.logger = options.logger;
+    this.sources = options.sources.map(source => ({
+      source,
+      breaker: new CircuitBreaker({
+        name: source.name,
+        threshold: options.breakerThreshold,
+        baseCooldown: options.breakerCooldown,
+        maxCooldown: options.breakerMaxCooldown,
+        isFailure: isSourceFailure,
+        logger: options.logger
+      })
+    }));
+  }
+
+  async attempt(what, call) {
+    const errors = [];
+
+    for (const [index, { source, breaker }] of this.sources.entries()) {
+      try {
+        return await breaker.run(() => call(source));
+      } catch (error) {
+        errors.push({ source, error });
+        const next = this.sources[index + 1];
+        if (next && error.code === 'CIRCUIT_OPEN') {
+          this.logger.debug(`${source.name} is down, trying ${next.source.name}`);
+        } else if (next && error.code !== 550) {
+          this.logger.warn(`${source.name} failed to ${what}, trying ${next.source.name}: ${error.message}`);
+        }
+      }
+    }
+
+    // Sources that were down can't say otherwise
+    const missing = errors.find(({ error }) => error.code === 550);
+    if (missing) {
+      throw missing.error;
+    }
+
+    const error = new Error(errors
+      .filter(({ error }) => error.code !== 550)
+      .map(({ source, error }) => `${source.name}: ${error.message}`)
+      .join('; '));
+    error.code = 'UPSTREAM_UNAVAILABLE';
+    error.retryAfter = this.retryAfter();
+    throw error;
+  }
+
+  /**
+   * Source names in fallback order, without any credentials
+   */
+  names() {
+    return this.sources.map(({ source }) => source.name);
+  }
+
+  list(product) {
+    return this.attempt(`list ${product}`, source => source.list(product));
+  }
+
+  fetch(filename) {
+    return this.attempt(`fetch ${filename}`, source => source.fetch(filename));
+  }
+
+  /**
+   * Seconds until some source will be tried again (0 while any is up)
+   */
+  retryAfter() {
+    return Math.min(...this.sources.map(({ breaker }) => breaker.retryAfter()));
+  }
+
+  /**
+   * Whether every source is down, leaving only the cache
+   */
+  isOpen() {
+    return this.sources.every(({ breaker }) => breaker.isOpen());
+  }
+
+  get state() {
+    if (!this.isOpen()) return 'closed';
+    return this.sources.some(({ breaker }) => breaker.state === 'half-open') ? 'half-open' : 'open';
+  }
+
+  /**
+   * Check each source can be reached, logging the result
+   */
+  async check() {
+    for (const { source } of this.sources) {
+      try {
+        await source.check();
+        this.logger.info(`Upstream source ${source.name}: OK`);
+      } catch (error) {
+        this.logger.error(`Upstream source ${source.name}: FAILED`, { error: error.message });
+      }
+    }
+  }
+
+  status() {
+    return this.sources.map(({ source, breaker }) => ({
+      name: source.name,
+      type: source.type,
+      circuit: breaker.status(),
+      ...source.status()
+    }));
+  }
+
+  close() {
+    for (const { source } of this.sources) {
+      source.close();
+    }
+  }
+}
+
+module.exports = {
+  FtpSource,
+  HttpSource,
+  DirectorySource,
+  SourceChain,
+  createSource
+};
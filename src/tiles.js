@@ -0,0 +1,113 @@
+/**
+ * Web Mercator (XYZ) tile helpers for mosaicking radar frames
+ */
+
+const TILE_SIZE = 256;
+const EARTH_RADIUS_KM = 6371;
+
+function tileToLon(x, z) {
+  return x / Math.pow(2, z) * 360 - 180;
+}
+
+function tileToLat(y, z) {
+  const n = Math.PI - 2 * Math.PI * y / Math.pow(2, z);
+  return 180 / Math.PI * Math.atan(Math.sinh(n));
+}
+
+/**
+ * Lat/lon box covered by a tile
+ */
+function tileBounds(z, x, y) {
+  return {
+    north: tileToLat(y, z),
+    south: tileToLat(y + 1, z),
+    west: tileToLon(x, z),
+    east: tileToLon(x + 1, z)
+  };
+}
+
+/**
+ * Great-circle distance in km
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Distance from a point to the nearest and farthest parts of a lat/lon box
+ */
+function boxDistanceKm(lat, lon, box) {
+  const nearLat = Math.min(Math.max(lat, box.south), box.north);
+  const nearLon = Math.min(Math.max(lon, box.west), box.east);
+  const corners = [
+    [box.north, box.west], [box.north, box.east],
+    [box.south, box.west], [box.south, box.east]
+  ];
+
+  return {
+    nearest: distanceKm(lat, lon, nearLat, nearLon),
+    farthest: Math.max(...corners.map(([cLat, cLon]) => distanceKm(lat, lon, cLat, cLon)))
+  };
+}
+
+/**
+ * Render one tile from radar frames
+ *
+ * Each source is { lat, lon, rangeKm, bounds, image } where bounds is the
+ * frame's lat/lon box and image its decoded RGBA pixels. Where radars overlap,
+ * each pixel is taken from the closest radar covering it.
+ */
+function renderTile(z, x, y, sources) {
+  const data = new Uint8Array(TILE_SIZE * TILE_SIZE * 4);
+  if (sources.length === 0) {
+    return { width: TILE_SIZE, height: TILE_SIZE, data };
+  }
+
+  const scale = Math.pow(2, z) * TILE_SIZE;
+
+  for (let py = 0; py < TILE_SIZE; py++) {
+    const lat = tileToLat((y * TILE_SIZE + py + 0.5) / TILE_SIZE, z);
+
+    for (let px = 0; px < TILE_SIZE; px++) {
+      const lon = (x * TILE_SIZE + px + 0.5) / scale * 360 - 180;
+      let best = null;
+      let bestDistance = Infinity;
+
+      for (const source of sources) {
+        const distance = distanceKm(lat, lon, source.lat, source.lon);
+        if (distance <= source.rangeKm && distance < bestDistance) {
+          best = source;
+          bestDistance = distance;
+        }
+      }
+
+      if (!best) continue;
+
+      const { bounds, image } = best;
+      const sx = Math.floor((lon - bounds.west) / (bounds.east - bounds.west) * image.width);
+      const sy = Math.floor((bounds.north - lat) / (bounds.north - bounds.south) * image.height);
+      if (sx < 0 || sy < 0 || sx >= image.width || sy >= image.height) continue;
+
+      const src = (sy * image.width + sx) * 4;
+      const dst = (py * TILE_SIZE + px) * 4;
+      data[dst] = image.data[src];
+      data[dst + 1] = image.data[src + 1];
+      data[dst + 2] = image.data[src + 2];
+      data[dst + 3] = image.data[src + 3];
+    }
+  }
+
+  return { width: TILE_SIZE, height: TILE_SIZE, data };
+}
+
+module.exports = {
+  TILE_SIZE,
+  tileBounds,
+  boxDistanceKm,
+  renderTile
+};
@@ -0,0 +1,93 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+
+const STORE_VERSION = 1;
+
+/**
+ * Timestamp listings saved across restarts
+ *
+ * Keeps the last FTP listing of each radar/resolution with the time it was
+ * fetched, saved to `file` shortly after each change. On startup the server
+ * uses it to restore fresh listings and refresh rate limits, and to seed
+ * listings for radars whose saved list has gone stale.
+ */
+class TimestampStore {
+  constructor(options) {
+    this.file = options.file;
+    this.logger = options.logger;
+    this.saveDelay = options.saveDelay || 10000;
+
+    this.lists = new Map(); // radar_resolution -> { timestamps, refreshedAt }
+    this.saveTimer = null;
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      if (data.version === STORE_VERSION) {
+        this.lists = new Map(Object.entries(data.lists));
+      }
+      this.logger.info(`Loaded saved timestamp lists for ${this.lists.size} radars`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Saved timestamp lists unreadable, starting cold: ${error.message}`);
+      }
+    }
+  }
+
+  get(radarId, resolution) {
+    return this.lists.get(`${radarId}_${resolution}`) || null;
+  }
+
+  entries() {
+    return Array.from(this.lists, ([key, list]) => {
+      const [radarId, resolution] = key.split('_');
+      return { radarId, resolution: parseInt(resolution), ...list };
+    });
+  }
+
+  set(radarId, resolution, timestamps, refreshedAt = Date.now()) {
+    this.lists.set(`${radarId}_${resolution}`, { timestamps, refreshedAt });
+    this.scheduleSave();
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(error => this.logger.error(`Failed to save timestamp lists: ${error.message}`));
+    }, this.saveDelay);
+    this.saveTimer.unref();
+  }
+
+  serialize() {
+    return JSON.stringify({
+      version: STORE_VERSION,
+      lists: Object.fromEntries(this.lists)
+    });
+  }
+
+  async save() {
+    const tempPath = `${this.file}.tmp`;
+    await fs.writeFile(tempPath, this.serialize());
+    await fs.rename(tempPath, this.file);
+  }
+
+  /**
+   * Write pending changes before the process exits
+   */
+  flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    try {
+      fsSync.writeFileSync(`${this.file}.tmp`, this.serialize());
+      fsSync.renameSync(`${this.file}.tmp`, this.file);
+    } catch (error) {
+      this.logger.error(`Failed to save timestamp lists: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { TimestampStore };
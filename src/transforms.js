@@ -0,0 +1,184 @@
+const imaging = require('./imaging');
+const reflectivity = require('./reflectivity');
+
+/**
+ * On-the-fly radar frame transforms: format, crop, resize and recolour
+ *
+ * A transform is parsed from query parameters, applied to the original
+ * palette PNG and identified by a variant ID so the result can be cached
+ * next to the original. Steps run in a fixed order (crop, recolour, resize,
+ * encode) because recolouring needs the exact palette colours, which
+ * resizing blends.
+ */
+
+const FORMATS = {
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+
+const MIN_WIDTH = 16;
+
+// Colour-blind-safe sequential maps, sampled evenly from light to dark so
+// light rain stays pale and heavy rain dark, like the BoM palette
+const COLOR_MAPS = {
+  viridis: ['#fde725', '#aadc32', '#5cc863', '#27ad81', '#21908d', '#2c718e', '#3b518b', '#472c7a', '#440154'],
+  cividis: ['#ffea46', '#c4b56c', '#a69d75', '#8a8779', '#707173', '#575c6d', '#39486b', '#00336f', '#00204d']
+};
+
+const PALETTES = ['bom', ...Object.keys(COLOR_MAPS), 'mask'];
+
+/**
+ * One colour per palette level, interpolated between a map's anchor colours
+ */
+function levelColors(anchors) {
+  const rgb = anchors.map(hex => [1, 3, 5].map(i => parseInt(hex.substring(i, i + 2), 16)));
+  const levels = reflectivity.BOM_PALETTE.length;
+
+  return reflectivity.BOM_PALETTE.map((entry, index) => {
+    const position = index / (levels - 1) * (rgb.length - 1);
+    const low = Math.floor(position);
+    const high = Math.min(low + 1, rgb.length - 1);
+    const t = position - low;
+    return rgb[low].map((value, c) => Math.round(value + (rgb[high][c] - value) * t));
+  });
+}
+
+const LEVEL_COLORS = Object.fromEntries(
+  Object.entries(COLOR_MAPS).map(([name, anchors]) => [name, levelColors(anchors)])
+);
+
+/**
+ * Pick the smallest format the client says it accepts
+ * WebP is preferred over AVIF: it's lossless and much cheaper to encode
+ */
+function negotiateFormat(accept) {
+  const types = String(accept || '').toLowerCase();
+  if (types.includes('image/webp')) return 'webp';
+  if (types.includes('image/avif')) return 'avif';
+  return 'png';
+}
+
+/**
+ * Parse transform query parameters for a frame `size` pixels square
+ * Returns { transform } (null when nothing was asked for) or { error }
+ */
+function parseTransform(query, accept, size) {
+  const { format = 'png', width, crop, palette = 'bom' } = query;
+  const transform = {
+    format: format === 'auto' ? negotiateFormat(accept) : format,
+    negotiated: format === 'auto',
+    width: null,
+    crop: null,
+    palette
+  };
+
+  if (!FORMATS[transform.format]) {
+    return { error: `Invalid format. Supported: ${Object.keys(FORMATS).join(', ')}, auto` };
+  }
+
+  if (!PALETTES.includes(palette)) {
+    return { error: `Invalid palette. Supported: ${PALETTES.join(', ')}` };
+  }
+
+  if (crop !== undefined) {
+    const parts = String(crop).split(',').map(Number);
+    const [x, y, cropWidth, cropHeight] = parts;
+    if (parts.length !== 4 || !parts.every(Number.isInteger) || x < 0 || y < 0 ||
+        cropWidth < 1 || cropHeight < 1 || x + cropWidth > size || y + cropHeight > size) {
+      return { error: `Invalid crop. Use x,y,width,height in pixels within the ${size}x${size} frame` };
+    }
+    transform.crop = { x, y, width: cropWidth, height: cropHeight };
+  }
+
+  if (width !== undefined) {
+    const maxWidth = transform.crop ? transform.crop.width : size;
+    transform.width = parseInt(width);
+    if (!(transform.width >= MIN_WIDTH && transform.width <= maxWidth)) {
+      return { error: `Invalid width. Must be ${MIN_WIDTH}-${maxWidth} pixels` };
+    }
+    // Full width is no resize at all
+    if (transform.width === maxWidth) transform.width = null;
+  }
+
+  if (transform.format === 'png' && !transform.crop && !transform.width && palette === 'bom') {
+    return { transform: null };
+  }
+
+  return { transform };
+}
+
+/**
+ * Stable ID for a transform, used in cache keys: format first, then only the
+ * steps that change the image
+ */
+function variantId(transform) {
+  const parts = [transform.format];
+  if (transform.crop) {
+    const { x, y, width, height } = transform.crop;
+    parts.push(`c${x}-${y}-${width}-${height}`);
+  }
+  if (transform.width) parts.push(`w${transform.width}`);
+  if (transform.palette !== 'bom') parts.push(transform.palette);
+  return parts.join('_');
+}
+
+/**
+ * Swap the BoM colours for another map, or reduce the frame to a rain mask:
+ * white, more opaque for heavier rain, and transparent everywhere else
+ */
+function recolor(image, palette) {
+  const levels = reflectivity.frameToLevels(image);
+  const maxLevel = reflectivity.BOM_PALETTE.length;
+
+  for (let i = 0; i < levels.length; i++) {
+    const offset = i * 4;
+    const level = levels[i];
+
+    if (palette === 'mask') {
+      image.data[offset] = 255;
+      image.data[offset + 1] = 255;
+      image.data[offset + 2] = 255;
+      image.data[offset + 3] = level > 0 ? Math.round(80 + (level - 1) * 175 / (maxLevel - 1)) : 0;
+    } else if (level > 0) {
+      image.data.set(LEVEL_COLORS[palette][level - 1], offset);
+    }
+  }
+
+  return image;
+}
+
+/**
+ * Apply a transform to an original frame PNG
+ */
+async function applyTransform(buffer, transform) {
+  let image = imaging.decodePng(buffer);
+
+  if (transform.crop) {
+    const { x, y, width, height } = transform.crop;
+    if (x + width > image.width || y + height > image.height) {
+      throw new Error(`Crop is outside the ${image.width}x${image.height} frame`);
+    }
+    image = imaging.crop(image, x, y, width, height);
+  }
+
+  if (transform.palette !== 'bom') {
+    image = recolor(image, transform.palette);
+  }
+
+  if (transform.width) {
+    image = imaging.resize(image, transform.width);
+  }
+
+  if (transform.format === 'webp') return imaging.encodeWebp(image);
+  if (transform.format === 'avif') return imaging.encodeAvif(image);
+  return imaging.encodePng(image);
+}
+
+module.exports = {
+  FORMATS,
+  PALETTES,
+  parseTransform,
+  variantId,
+  applyTransform
+};
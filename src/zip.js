@@ -0,0 +1,148 @@
+/**
+ * Minimal streaming ZIP writer
+ *
+ * Files are stored uncompressed: radar frames are PNGs, which don't shrink
+ * any further, and storing lets the archive be streamed file by file without
+ * holding it in memory. No ZIP64, so archives are limited to 4GB and 65535
+ * files.
+ */
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields, which is what ZIP stores (2 second precision)
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+    date: ((date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+  };
+}
+
+function closedError() {
+  const error = new Error('Output closed before the archive was finished');
+  error.code = 'OUTPUT_CLOSED';
+  return error;
+}
+
+class ZipWriter {
+  /**
+   * @param {stream.Writable} output - e.g. an Express response
+   */
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  /**
+   * Write to the output, waiting for it to drain when its buffer is full
+   * Rejects with code OUTPUT_CLOSED if the output closes first, e.g. when a
+   * download is cancelled, so callers don't wait on it forever
+   */
+  async write(buffer) {
+    if (this.output.destroyed) {
+      throw closedError();
+    }
+
+    this.offset += buffer.length;
+    if (this.output.write(buffer)) return;
+
+    await new Promise((resolve, reject) => {
+      const done = error => {
+        this.output.off('drain', onDrain);
+        this.output.off('close', onClose);
+        this.output.off('error', done);
+        if (error) reject(error);
+        else resolve();
+      };
+      const onDrain = () => done();
+      const onClose = () => done(closedError());
+
+      this.output.on('drain', onDrain);
+      this.output.on('close', onClose);
+      this.output.on('error', done);
+    });
+  }
+
+  async addFile(name, data, date = new Date()) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const { time, date: dosDate } = dosDateTime(date);
+    const entry = {
+      nameBuffer,
+      crc: crc32(data),
+      size: data.length,
+      time,
+      date: dosDate,
+      offset: this.offset
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0); // local file header signature
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0800, 6); // UTF-8 names
+    header.writeUInt16LE(0, 8); // stored
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.size, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    this.entries.push(entry);
+    await this.write(Buffer.concat([header, nameBuffer]));
+    await this.write(data);
+  }
+
+  /**
+   * Write the central directory and end the output
+   */
+  async finish() {
+    const start = this.offset;
+
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0); // central directory signature
+      header.writeUInt16LE(20, 4); // version made by
+      header.writeUInt16LE(20, 6); // version needed
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(0, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.size, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      // extra, comment, disk number, internal and external attributes stay 0
+      header.writeUInt32LE(entry.offset, 42);
+      await this.write(Buffer.concat([header, entry.nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0); // end of central directory signature
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this.write(end);
+
+    this.output.end();
+  }
+}
+
+module.exports = { ZipWriter, crc32 };